@@ -1,26 +1,77 @@
 // Handles graceful application specific cleanup to avoid hung servers...
+/*
+Ordered shutdown on exit, Ctrl-C (SIGINT), SIGTERM, or uncaught exceptions. Steps register by phase
+and run phase by phase in the order below; steps within a phase run together. Each step is logged
+and limited to the configured timeout, after which shutdown proceeds anyway.
+
+  phases...
+    connections:  stop accepting connections (e.g. proxies, command server), finishing in-flight requests
+    sites:        stop sites and handlers
+    services:     tear down shared services
+    databases:    force-save pending database changes
+    transcript:   flush transcripts; app callback runs last in this phase
+
+SYNTAX:
+  const Cleanup = require('./Cleanup');
+  let cleanup = Cleanup(<callback>,{log: scribe.info, timeout: 10000});  // options optional
+  cleanup.register('name',async ()=>{...},'sites');  // returns function to unregister step
+  cleanup.gracefulExit(0);  // shutdown on demand
+*/
+
+const PHASES = ['connections','sites','services','databases','transcript'];
 
 var cleanup = {
   callback: ()=>console.log("Graceful exit ..."), // default callback
   called: false,  // flag to prevent circular calls.
-  delay: 400,  
-  gracefulExit: function (code=1) { // graceful exit call...
-    if (!this.called) {
-      this.called = true;
-      this.callback();  // do app specific cleaning once before exiting
-      setTimeout(process.exit,this.delay,code);  // no stopping!
+  delay: 400,     // final delay before exit, allows console/file output to complete
+  timeout: 10000, // time limit (ms) for each shutdown step
+  log: console.log,
+  steps: [],
+  PHASES: PHASES,
+  register: function (name,fn,phase='sites') { // register a named shutdown step for a phase...
+    if (!PHASES.includes(phase)) throw `Cleanup: unknown shutdown phase '${phase}'`;
+    let step = {name: name, fn: fn, phase: phase};
+    this.steps.push(step);
+    return ()=>{ this.steps = this.steps.filter(s=>s!==step); };
+  },
+  runStep: function (step) { // run a step, limited by timeout...
+    let timer;
+    let limit = new Promise(resolve=>{ timer = setTimeout(()=>resolve('timeout'),this.timeout); });
+    let t0 = markTime();
+    return Promise.race([Promise.resolve().then(step.fn).then(()=>'done'),limit])
+      .then(result=>this.log(`Shutdown[${step.phase}]: ${step.name} ${result=='timeout'?'TIMED OUT after':'complete in'} ${markTime(t0)}s`))
+      .catch(e=>this.log(`Shutdown[${step.phase}]: ${step.name} FAILED: ${e.toString()}`))
+      .finally(()=>clearTimeout(timer));
+  },
+  gracefulExit: async function (code=1) { // graceful exit call...
+    if (this.called) {  // repeated request, i.e. second Ctrl-C, exits immediately
+      if (code!==0) { console.log("Forced exit!"); process.exit(code); };
+      return;
+    };
+    this.called = true;
+    this.log(`Shutdown started (code: ${code}) ...`);
+    for (let phase of PHASES) {
+      await Promise.all(this.steps.filter(s=>s.phase===phase).map(s=>this.runStep(s)));
     };
+    try { this.callback(); } catch (e) { console.log("Cleanup callback error:",e); }; // do app specific cleaning once before exiting
+    setTimeout(process.exit,this.delay,code);  // no stopping!
   }
 };
 
+// markTime shortcut may not yet exist...
+var markTime = global.markTime || ((since) => since ? (new Date().valueOf()-since)/1000 : new Date().valueOf());
+
 // catch clean exit ...
 process.on('beforeExit', function () { cleanup.gracefulExit(0); });
 
 // catch ctrl+c event and exit gracefully
 process.on('SIGINT', function () { cleanup.gracefulExit(2); });
 
+// catch termination request (e.g. service manager) and exit gracefully
+process.on('SIGTERM', function () { cleanup.gracefulExit(15); });
+
 //catch uncaught exceptions, trace, then exit gracefully...
-process.on('uncaughtException', 
+process.on('uncaughtException',
   function(e) {
     console.log('Uncaught Exception...');
     console.log(e.stack);
@@ -28,4 +79,9 @@ process.on('uncaughtException',
   }
 );
 
-module.exports = init = (cb)=>{cleanup.callback=cb||cleanup.callback; return cleanup;};
+module.exports = init = (cb,options={})=>{
+  cleanup.callback = cb || cleanup.callback;
+  if (options.log) cleanup.log = options.log;
+  if (options.timeout) cleanup.timeout = options.timeout;
+  return cleanup;
+};
@@ -182,6 +182,9 @@ if (!Object.asJx) {
   });
 };
 
+// masks credentials passed as query parameters (i.e. EventSource/WebSocket '?token=<jwt>') for logging...
+if (!global.redactURL) global.redactURL = (url,keys=['token']) => String(url||'').replace(new RegExp(`([?&](?:${keys.join('|')})=)[^&#]*`,'gi'),'$1***');
+
 // convert undefined, comma delimited string or array to an array...
 if (!global.asList) global.asList = x => x instanceof Array ? x : (x||'').split(',');
 
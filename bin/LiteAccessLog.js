@@ -0,0 +1,151 @@
+/*
+LiteAccessLog.js: standard access log output for proxies
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Writes one line per proxy request to a dedicated access log, separate from the scribe transcript,
+for standard log analyzers. Logs roll by size and/or daily, keeping a limited number of rolled files.
+
+formats...
+  combined: Combined Log Format, followed by host, matched route, and duration (ms), i.e.
+    203.0.113.9 - - [18/Oct/2020:14:01:02 -0600] "GET /index.html HTTP/1.1" 200 5120 "-" "Mozilla/5.0 ..." "example.net" "example.net" 12
+  json:     JSON lines with keys time, ip, host, method, url, protocol, status, bytes, duration, referrer, agent, route
+
+configuration (proxy level key 'accessLog')...
+  accessLog: {
+    file: '../logs/https-access.log', // default ../logs/<proxy-tag>-access.log
+    format: 'combined',               // 'combined' (default) or 'json'
+    size: 10485760,                   // roll when larger (bytes), default 10MB, 0 for no size limit
+    daily: false,                     // also roll at the first request of each day
+    keep: 10                          // rolled files kept, default 10, 0 keeps all
+  }
+
+The client IP reflects any x-forwarded-for header (i.e. a further proxy in front).
+
+SYNTAX:
+  const AccessLog = require('./LiteAccessLog');
+  var log = new AccessLog({cfg: cfg.accessLog, scribe: Scribe, tag: tag});
+  let entry = log.track(rqst,rply);   // logs the request once the response completes
+  entry.route = 'example.net';        // optionally annotate the matched route
+  log.close();                        // async, flushes and closes the log
+*/
+
+require('./Extensions2JS');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+const pad = (n,w=2) => String(Math.abs(n)).padStart(w,'0');
+
+// Common Log Format timestamp, i.e. 18/Oct/2020:14:01:02 -0600...
+function clfTime(d) {
+  let tz = -d.getTimezoneOffset();
+  return `${pad(d.getDate())}/${MONTHS[d.getMonth()]}/${d.getFullYear()}:${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())} ` +
+    `${tz<0?'-':'+'}${pad(Math.floor(Math.abs(tz)/60))}${pad(Math.abs(tz)%60)}`;
+};
+
+// quoted log field, escaping quotes and control characters...
+const quote = (v) => '"' + (v===undefined || v===null || v==='' ? '-' : String(v).replace(/["\\]/g,'\\$&').replace(/[\x00-\x1f]/g,'')) + '"';
+
+module.exports = AccessLog = function AccessLog(context) {
+  this.tag = context.tag;
+  this.scribe = context.scribe(context.tag);
+  this.cfg = ({file: `../logs/${context.tag}-access.log`, format: 'combined', size: 10485760, daily: false, keep: 10}).mergekeys(context.cfg===true ? {} : context.cfg);
+  this.pending = [];  // lines held while rolling
+  this.open();
+};
+
+// open (or reopen) the log for appending...
+AccessLog.prototype.open = function open() {
+  if (this.closed) return;
+  try { this.bytes = fs.statSync(this.cfg.file).size; } catch (e) { this.bytes = 0; };
+  this.day = new Date().toDateString();
+  this.stream = fs.createWriteStream(this.cfg.file,{flags: 'a'});
+  this.stream.on('error',e=>this.scribe.error("AccessLog[%s] write failed: %s", this.tag, e.toString()));
+  this.pending.splice(0).forEach(line=>this.write(line));
+};
+
+// track a request, logging it when its response finishes (or the connection closes)...
+AccessLog.prototype.track = function track(rqst,rply) {
+  let entry = {start: Date.now(), url: redactURL(rqst.url), bytes: 0, route: null};  // no query tokens in logs
+  let [write, end] = [rply.write, rply.end];  // count body bytes sent
+  rply.write = function(chunk,...args) { if (chunk && typeof chunk!='function') entry.bytes += Buffer.byteLength(chunk); return write.call(this,chunk,...args); };
+  rply.end = function(chunk,...args) { if (chunk && typeof chunk!='function') entry.bytes += Buffer.byteLength(chunk); return end.call(this,chunk,...args); };
+  let done = () => { if (!entry.logged) { entry.logged = true; this.log(rqst,rply,entry); }; };
+  rply.once('finish',done);
+  rply.once('close',done);
+  return entry;
+};
+
+// format and write a request's log line...
+AccessLog.prototype.log = function log(rqst,rply,entry) {
+  let h = rqst.headers;
+  let rec = {
+    time: new Date(entry.start),
+    ip: (h['x-forwarded-for']||'').split(',')[0].trim() || (rqst.socket.remoteAddress||'-').replace(/^::ffff:/,''),
+    host: (h.host||'').split(':')[0],
+    method: rqst.method,
+    url: entry.url,
+    protocol: `HTTP/${rqst.httpVersion}`,
+    status: rply.headersSent ? rply.statusCode : 0,  // 0: connection closed without a response
+    bytes: entry.bytes,
+    duration: Date.now()-entry.start,
+    referrer: h.referer || h.referrer || '',
+    agent: h['user-agent'] || '',
+    route: entry.route || ''
+  };
+  let line = this.cfg.format=='json' ? JSON.stringify(Object.assign(rec,{time: rec.time.toISOString()})) :
+    `${rec.ip} - - [${clfTime(rec.time)}] ${quote(`${rec.method} ${rec.url} ${rec.protocol}`)} ${rec.status} ${rec.bytes||'-'} ` +
+    `${quote(rec.referrer)} ${quote(rec.agent)} ${quote(rec.host)} ${quote(rec.route)} ${rec.duration}`;
+  this.write(line+'\n');
+};
+
+// append a line, rolling the log first when due...
+AccessLog.prototype.write = function write(line) {
+  if (this.closed) return;
+  if (!this.stream) return this.pending.push(line);  // rolling
+  let full = this.cfg.size && this.bytes && this.bytes+line.length>this.cfg.size;
+  if (full || (this.cfg.daily && new Date().toDateString()!==this.day)) {
+    this.pending.push(line);
+    return this.roll();
+  };
+  this.bytes += Buffer.byteLength(line);
+  this.stream.write(line);
+};
+
+// roll the log to a timestamped file, then prune old ones...
+AccessLog.prototype.roll = function roll() {
+  let stream = this.stream;
+  this.stream = null;
+  let parts = path.parse(this.cfg.file);
+  let bak = path.join(parts.dir,`${parts.name}-${new Date().toISOString().split(':').join('')}${parts.ext}`);
+  stream.end(()=>{
+    fsp.rename(this.cfg.file,bak)
+      .then(()=>this.scribe.debug("AccessLog[%s] rolled: %s", this.tag, bak))
+      .catch(e=>this.scribe.error("AccessLog[%s] roll failed: %s", this.tag, e.toString()))
+      .then(()=>{ this.open(); return this.prune(); });
+  });
+};
+
+// remove rolled logs beyond the number kept...
+AccessLog.prototype.prune = async function prune() {
+  if (!this.cfg.keep) return;
+  let parts = path.parse(this.cfg.file);
+  try {
+    let rolled = (await fsp.readdir(parts.dir||'.')).filter(f=>f.startsWith(parts.name+'-') && f.endsWith(parts.ext)).sort();
+    for (let f of rolled.slice(0,Math.max(rolled.length-this.cfg.keep,0))) await fsp.unlink(path.join(parts.dir,f));
+  } catch (e) {
+    this.scribe.error("AccessLog[%s] pruning failed: %s", this.tag, e.toString());
+  };
+};
+
+// flush and close the log...
+AccessLog.prototype.close = function close() {
+  this.closed = true;
+  return new Promise(resolve=>{
+    if (!this.stream) return resolve();
+    let stream = this.stream;
+    this.stream = null;
+    stream.end(resolve);
+  });
+};
@@ -9,9 +9,14 @@ Assumes parameter based express routing: '/([@]):action(\\w+)/:opt1?/:opt2?/:opt
 
   Action fields
     grant:    Sends login credentials to user           GET /@grant?user=user1,user2,...&exp=1440&mail=true
+    map:      Dry run of site URL rules for a request   GET /@map?url=<url>&host=<hostname>&method=<method>
+    outbox:   Lists sandbox captured messages           GET /@outbox?channel=<sms|mail>&to=<recipient>&limit=<n>
     scribe:   Dynamically get/set scribe mask level     GET /@scribe?level=<mask>&parent=<true|false>
     stats:    Returns server statistics as JSON object  GET /@stats/<tag>/<key>
     mail:     Sends an email to 1 or more users         POST /@mail, body contains message, recipients, ...
+    outbox:   Clears sandbox captured messages          POST /@outbox/clear
+    publish:  Broadcasts to WebSocket channel clients   POST /@publish/<channel>, body contains message data
+    reconfig: Hot reload of server configuration        POST /@reconfig
     reload:   Reload a specific database                POST /@reload/<db>
     renew:    Requests reload of security certificates  POST /@renew
     text:     Sends text message to 1 or more users     POST /@text, body contains text, recipients, ...
@@ -60,6 +65,17 @@ exports = module.exports = LiteAction = function LiteAction(options) {
               scribe.error('Action[grant]: Granting permission failed =>',e.toString());
               next(500); });
           break;
+        case 'map':       // reports how URL rules redirect or rewrite a given request, without acting
+          if (!rqst.hb.auth.authorize('admin,server')) return next(401);
+          if (!args.url) return rply.json(site.server.emsg(400,'Missing url parameter'));
+          if (!site.urlMap) return rply.json(site.server.emsg(400,'URL mapping not enabled'));
+          rply.json(site.urlMap.apply({url: args.url, host: args.host||rqst.hostname, method: args.method||'GET'}));
+          break;
+        case 'outbox':    // sandbox captured messages
+          if (!admin) return next(401);
+          if (!site.server.notify.sandbox) return rply.json(site.server.emsg(400,'Notification sandbox mode not enabled'));
+          rply.json(site.server.notify.outbox({channel: args.channel||args.opt1, to: args.to, limit: args.limit}));
+          break;
         case 'scribe':
             if (!rqst.hb.auth.authorize('admin,server')) return next(401);
             let mask = scribe.maskLevel(args.level||args.opt1);
@@ -81,6 +97,28 @@ exports = module.exports = LiteAction = function LiteAction(options) {
               scribe.error("Action[mail]: ERROR: %s", err.toString()); 
               rply.json(err.toString())});
           break;
+        case 'outbox':    // clears sandbox captured messages
+          if (!admin) return next(401);
+          if (args.opt1!='clear') return rply.json(site.server.emsg(400,`Unknown outbox operation: ${args.opt1}`));
+          let cleared = site.server.notify.clearOutbox();
+          scribe.info(`Action[outbox]: ${cleared} captured messages cleared`);
+          rply.json({msg: `Outbox cleared, ${cleared} messages`});
+          break;
+        case 'publish':   // broadcast to subscribers of a WebSocket channel (LiteSocket)
+          let channel = args.opt1 || '';
+          let sockets = (site.sockets||[]).filter(s=>Object.prototype.hasOwnProperty.call(s.channels,channel));
+          if (!sockets.length) return rply.json(site.server.emsg(400,`No such channel: ${channel}`));
+          if (!sockets.some(s=>s.permit(rqst.hb.auth,channel,'publish'))) return next(401);
+          let count = site.publish(channel,rqst.body,rqst.hb.auth.username);
+          scribe.info(`Action[publish]: ${rqst.hb.auth.username} published to ${channel}, ${count} subscribers`);
+          rply.json({msg: `Published to ${channel}`, count: count});
+          break;
+        case 'reconfig':   // this function reloads the server configuration, restarting only affected sites.
+          if (!rqst.hb.auth.authorize('admin,server')) return next(401);
+          site.server.reload()
+            .then(summary=>rply.json({msg: 'Configuration reloaded', summary: summary}))
+            .catch(e=>rply.json(site.server.emsg(500,e.toString())));
+          break;
         case 'reload':     // this function reloads a specified database.
           if (!rqst.hb.auth.authorize('admin,server')) return next(401);
           let db = args.opt1 || ''
@@ -114,7 +152,10 @@ exports = module.exports = LiteAction = function LiteAction(options) {
           if (args.opt1=='status') {
             let msg = rqst.body;
             if (msg.MessageStatus=='undelivered') {
-              let contact = site.cfg.$twilio.callbackContacts[args.opt2] || site.cfg.$twilio.admin;
+              // any transport of type twilio, preferably the one defining this callback's contact...
+              let twilios = Object.values(site.server.notify.transports).filter(t=>t.type=='twilio').map(t=>t.cfg);
+              let tcfg = twilios.find(c=>(c.callbackContacts||{})[args.opt2]) || twilios.find(c=>c.admin) || {};
+              let contact = (tcfg.callbackContacts||{})[args.opt2] || tcfg.admin;
               site.server.sms({numbers:contact, text:`Message to ${msg.To} failed, ref: ${msg.MessageSid}`})
                 .then(data =>{ scribe.log(`Callback to ${contact} for ${msg.MessageSid}`); })
                 .catch(err=>{ scribe.error("Action[twilio] ERROR: %s", err); }); 
@@ -0,0 +1,146 @@
+/*
+LiteBalancer.js: load balancing and passive failover over multiple upstream targets for proxy routes
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Spreads the requests of a proxy route (i.e. site) over a pool of upstream targets by a strategy,
+counts proxy errors per target as passive failures, and takes failing targets out of rotation for a
+cooldown period. Per-target counters are kept in stats (Stat tag <proxy-tag>-upstream).
+
+configuration (site level key 'upstream', or any configured proxy route object)...
+  upstream: {
+    strategy: 'round-robin',  // 'round-robin' (default), 'least-conn', or 'primary' (first available, others as backups)
+    targets: [                // additional targets, after the site's (or route's) own host and port
+      'http://192.168.0.10:8080',
+      {host: '192.168.0.11', port: 8080}
+    ],
+    fails: 2,                 // consecutive errors taking a target out of rotation, default 2
+    cooldown: 30000,          // ms before a failed target rejoins the rotation, default 30000
+    retries: 1                // further targets tried when an idempotent request (GET, HEAD, OPTIONS) fails, default 1
+  }
+
+Only requests without a body (no content-length but 0, and no transfer-encoding) are retried,
+since a body, once partly consumed, can't be replayed. When every target is out
+of rotation, the one failed longest ago is tried anyway.
+
+SYNTAX:
+  const Balancer = require('./LiteBalancer');
+  var balancer = new Balancer({scribe: Scribe, tag: tag});
+  balancer.update(routes);              // (re)configure pools for routes, i.e. after a reload
+  let pool = balancer.pool(route);      // target pool of a route, undefined for single target routes
+  let t = balancer.pick(pool,tried);    // next target, excluding those already tried
+  balancer.begin(t); ... balancer.end(t,error); // request accounting, error undefined if served
+  balancer.retry(pool,rqst,tried);      // true if a failed request may try another target
+*/
+
+require('./Extensions2JS');
+
+const DEFAULTS = {strategy: 'round-robin', targets: [], fails: 2, cooldown: 30000, retries: 1};
+const IDEMPOTENT = ['GET','HEAD','OPTIONS'];
+
+// normalize a target definition, i.e. 'http://host:port' or {host, port[, protocol]}...
+function parseTarget(t) {
+  if (typeof t=='string') {
+    let [, protocol, host, port] = t.match(/^(?:(https?:)\/\/)?([^:/]+)(?::(\d+))?/) || [];
+    t = {host: host, port: port ? parseInt(port) : (protocol=='https:' ? 443 : 80), protocol: protocol};
+  };
+  let target = {host: t.host, port: t.port||80};
+  if (t.protocol) target.protocol = t.protocol;
+  return target;
+};
+
+module.exports = Balancer = function Balancer(context) {
+  this.tag = context.tag;
+  this.stat = context.tag+'-upstream';
+  this.scribe = context.scribe(context.tag);
+  this.pools = {};  // target pools by route name (i.e. site)
+};
+
+Balancer.parseTarget = parseTarget;
+
+// (re)configure pools for routes with upstream blocks; unchanged pools keep their state...
+Balancer.prototype.update = function update(routes) {
+  let wanted = {};
+  for (let r in routes) {
+    let route = routes[r];
+    if (!route.upstream) continue;
+    let name = route.site = route.site || r;
+    if (!(name in wanted)) wanted[name] = route;  // aliases share a pool
+  };
+  for (let name in this.pools) {
+    let pool = this.pools[name];
+    if (!(name in wanted) || JSON.stringify(wanted[name])!==pool.sig) {
+      pool.targets.forEach(t=>this.scribe.Stat.clear(this.stat,t.key));
+      delete this.pools[name];
+    };
+  };
+  for (let name in wanted) {
+    if (name in this.pools) continue;
+    let route = wanted[name];
+    let cfg = ({}).mergekeys(DEFAULTS).mergekeys(route.upstream);
+    let targets = [route].concat(cfg.targets).map(parseTarget).map(target=>({pool: name, target: target, key: `${name}:${target.host}:${target.port}`,
+      active: 0, served: 0, errors: 0, fails: 0, until: 0}));
+    this.pools[name] = {name: name, cfg: cfg, sig: JSON.stringify(route), targets: targets, next: 0};
+    targets.forEach(t=>this.record(t));
+    this.scribe.debug("Upstream[%s]: %s over %s", name, cfg.strategy, targets.map(t=>t.target.host+':'+t.target.port).join(', '));
+  };
+};
+
+// target pool of a route, if any...
+Balancer.prototype.pool = function pool(route) {
+  return route.upstream ? this.pools[route.site] : undefined;
+};
+
+// choose the next target of a pool by its strategy, excluding those already tried...
+Balancer.prototype.pick = function pick(pool,tried=[]) {
+  let now = Date.now();
+  let candidates = pool.targets.filter(t=>!tried.includes(t));
+  let available = candidates.filter(t=>t.until<=now);
+  if (!available.length) return candidates.sort((a,b)=>a.until-b.until)[0];  // all out of rotation, try the longest failed
+  switch (pool.cfg.strategy) {
+    case 'primary': return available[0];
+    case 'least-conn': return available.reduce((least,t)=>t.active<least.active ? t : least);
+    default:  // round-robin
+      let t = available[pool.next % available.length];
+      pool.next = (pool.next+1) % pool.targets.length;
+      return t;
+  };
+};
+
+// request dispatched to a target...
+Balancer.prototype.begin = function begin(t) {
+  t.active++;
+  this.record(t);
+};
+
+// request finished by a target, with or without error (passive failure detection)...
+Balancer.prototype.end = function end(t,error) {
+  t.active = Math.max(t.active-1,0);
+  let pool = this.pools[t.pool];
+  if (error) {
+    t.errors++;
+    t.fails++;
+    let limit = pool ? pool.cfg.fails : DEFAULTS.fails;
+    if (t.fails>=limit && t.until<=Date.now()) {
+      t.until = Date.now() + (pool ? pool.cfg.cooldown : DEFAULTS.cooldown);
+      this.scribe.warn("Upstream[%s]: %s:%s out of rotation after %s failures: %s", t.pool, t.target.host, t.target.port, t.fails, error.toString());
+    };
+  } else {
+    if (t.until) this.scribe.info("Upstream[%s]: %s:%s back in rotation", t.pool, t.target.host, t.target.port);
+    t.served++;
+    t.fails = 0;
+    t.until = 0;
+  };
+  this.record(t);
+};
+
+// true if a failed request may be retried on another target...
+Balancer.prototype.retry = function retry(pool,rqst,tried) {
+  let body = Number(rqst.headers['content-length']||0)>0 || rqst.headers['transfer-encoding']!==undefined;
+  return IDEMPOTENT.includes(rqst.method) && !body && tried.length<=pool.cfg.retries && tried.length<pool.targets.length;
+};
+
+// record target counters in stats...
+Balancer.prototype.record = function record(t) {
+  this.scribe.Stat.set(this.stat,t.key,{host: t.target.host, port: t.target.port, state: t.until>Date.now() ? 'out' : 'in',
+    active: t.active, served: t.served, errors: t.errors});
+};
@@ -0,0 +1,179 @@
+/*
+LiteBlocklist.js: enforced IP blocklist driven by the blacklist statistics
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Periodically reviews the offender tallies kept in stats by proxies (tag <proxy>-blacklist, requests
+without a route, counted as 'probes') and sites (tag <site>-blacklist-<code>, error responses), and
+blocks any IP whose offenses since its last block reach a threshold. Automatic blocks last for a time
+window that doubles with each repeat offense; manual blocks may be permanent. Proxies refuse
+connections and requests from blocked IPs. Blocks, repeat counts, and allowed IPs persist in an
+optional JSON file, so they survive restarts.
+
+configuration (server level key 'blocklist')...
+  blocklist: {
+    file: '../restricted/blocklist.json', // persistent blocks and allowed IPs, optional
+    interval: 30000,      // ms between reviews of the statistics, default 30000
+    thresholds: {         // offenses triggering a block, by kind...
+      probes: 10,         // proxy requests without a route, default 10
+      401: 20,            // site error responses by code, none by default
+      404: 50
+    },
+    duration: 3600000,    // first automatic block (ms), default 1 hour; doubles with each repeat...
+    max: 604800000,       // ...up to max, default 1 week
+    allow: ['192.168.0']  // IP prefixes never blocked, in addition to any proxy 'report.ignore' prefixes
+  }
+
+SYNTAX:
+  const Blocklist = require('./LiteBlocklist');
+  var blocklist = new Blocklist({cfg: cfg.blocklist, ignore: [...], scribe: Scribe});
+  blocklist.blocked(ip);                  // block entry, or undefined if not blocked
+  blocklist.block(ip,minutes,reason);     // manual block, permanent if minutes undefined
+  blocklist.lift(ip);                     // lift a block, true if blocked
+  blocklist.report();                     // blocks, repeat offenders, and allowed IPs
+  blocklist.stop();                       // cancel reviews
+*/
+
+require('./Extensions2JS');
+const fs = require('fs');
+const fsp = require('fs').promises;
+
+const DEFAULTS = {interval: 30000, thresholds: {probes: 10}, duration: 3600000, max: 604800000, allow: []};
+
+// IPv4 mapped IPv6 addresses reduce to IPv4 form...
+const normalize = (ip) => String(ip||'').replace(/^::ffff:/,'');
+
+module.exports = Blocklist = function Blocklist(context) {
+  this.cfg = ({}).mergekeys(DEFAULTS).mergekeys(context.cfg||{});
+  this.scribe = context.scribe('blocklist');
+  this.blocks = {};   // blocked IPs: {since, until (null for permanent), reason, manual}
+  this.strikes = {};  // automatic block count by IP, for escalation
+  this.allowed = [];  // persistent allowed IP prefixes (file)
+  this.ignore = asList(context.ignore||[]).concat(this.cfg.allow);
+  this.base = {};     // offense tallies at last block by tag and IP, so only new offenses count
+  this.scribe.Stat.set('blocklist',undefined,{blocked: 0, blocks: 0, lifted: 0, refused: 0});
+  this.load();
+  this.timer = setInterval(()=>this.review(),this.cfg.interval);
+  this.timer.unref();
+};
+
+Blocklist.normalize = normalize;
+
+// load persistent state, if any...
+Blocklist.prototype.load = function load() {
+  if (!this.cfg.file) return;
+  try {
+    let saved = JSON.parse(fs.readFileSync(this.cfg.file,'utf8'));
+    this.blocks = saved.blocks || {};
+    this.strikes = saved.strikes || {};
+    this.allowed = saved.allow || [];
+    this.scribe.info("Blocklist loaded: %s blocked, %s allowed", Object.keys(this.blocks).length, this.allowed.length);
+  } catch (e) {
+    if (e.code!='ENOENT') this.scribe.error("Blocklist file '%s' not loaded: %s", this.cfg.file, e.toString());
+  };
+  this.expire();
+};
+
+// save persistent state...
+Blocklist.prototype.save = function save() {
+  this.scribe.Stat.set('blocklist','blocked',Object.keys(this.blocks).length);
+  if (!this.cfg.file) return Promise.resolve();
+  return fsp.writeFile(this.cfg.file,JSON.stringify({blocks: this.blocks, strikes: this.strikes, allow: this.allowed},null,2))
+    .catch(e=>this.scribe.error("Blocklist file '%s' not saved: %s", this.cfg.file, e.toString()));
+};
+
+// true if an IP matches an allowed or ignored prefix, i.e. local addresses...
+Blocklist.prototype.exempt = function exempt(ip) {
+  return this.ignore.concat(this.allowed).some(p=>ip===p || ip.startsWith(/[.:]$/.test(p) ? p : p+(p.includes(':')?':':'.')));
+};
+
+// remove expired blocks...
+Blocklist.prototype.expire = function expire() {
+  let now = Date.now();
+  let expired = Object.keys(this.blocks).filter(ip=>this.blocks[ip].until && this.blocks[ip].until<=now);
+  expired.forEach(ip=>{ delete this.blocks[ip]; this.scribe.info("Blocklist: %s block expired", ip); });
+  if (expired.length) this.save();
+};
+
+// block entry for an IP, if blocked...
+Blocklist.prototype.blocked = function blocked(ip) {
+  let entry = this.blocks[normalize(ip)];
+  if (entry && entry.until && entry.until<=Date.now()) return this.expire();
+  return entry;
+};
+
+// manual block, permanent unless minutes given...
+Blocklist.prototype.block = function block(ip,minutes,reason='manual') {
+  ip = normalize(ip);
+  if (!/^[\d.]+$|^[\da-f:]+$/i.test(ip)) throw `Invalid IP address: ${ip}`;
+  let now = Date.now();
+  this.blocks[ip] = {since: now, until: minutes ? now+minutes*60000 : null, reason: reason, manual: true};
+  this.scribe.Stat.inc('blocklist','blocks');
+  this.scribe.warn("Blocklist: %s blocked %s (%s)", ip, minutes ? `for ${minutes} minutes` : 'permanently', reason);
+  this.save();
+  return Object.assign({ip: ip},this.report().blocks[ip]);
+};
+
+// lift a block...
+Blocklist.prototype.lift = function lift(ip) {
+  ip = normalize(ip);
+  if (!(ip in this.blocks)) return false;
+  delete this.blocks[ip];
+  this.scribe.Stat.inc('blocklist','lifted');
+  this.scribe.info("Blocklist: %s block lifted", ip);
+  this.save();
+  return true;
+};
+
+// automatic block, escalating with each repeat...
+Blocklist.prototype.offend = function offend(ip,reason) {
+  let strikes = this.strikes[ip] = (this.strikes[ip]||0)+1;
+  let duration = Math.min(this.cfg.duration*Math.pow(2,strikes-1),this.cfg.max);
+  let now = Date.now();
+  this.blocks[ip] = {since: now, until: now+duration, reason: reason, strikes: strikes};
+  this.scribe.Stat.inc('blocklist','blocks');
+  this.scribe.warn("Blocklist: %s blocked for %s minutes (strike %s): %s", ip, Math.round(duration/60000), strikes, reason);
+};
+
+// review blacklist statistics for offenders reaching a threshold...
+Blocklist.prototype.review = function review() {
+  this.expire();
+  let Stat = this.scribe.Stat;
+  let changed = false;
+  for (let tag of Stat.tags()) {
+    let m = tag.match(/-blacklist(?:-(\d+))?$/);
+    if (!m) continue;
+    let kind = m[1] || 'probes';
+    let limit = this.cfg.thresholds[kind];
+    let tally = Stat.get(tag);
+    if (!limit || !tally) continue;
+    for (let key in tally) {
+      let count = tally[key];
+      if (typeof count!='number') continue;
+      let ip = normalize(key);
+      let base = this.base[tag+'|'+key]||0;
+      if (count<base) base = this.base[tag+'|'+key] = 0;  // stats zeroed since
+      if (count-base<limit || this.blocks[ip] || this.exempt(ip)) continue;
+      this.offend(ip,`${count-base} ${kind=='probes'?'probes':'errors '+kind} (${tag})`);
+      this.base[tag+'|'+key] = count;
+      changed = true;
+    };
+  };
+  if (changed) this.save();
+};
+
+// current blocks, repeat offenders, and allowed IPs...
+Blocklist.prototype.report = function report() {
+  this.expire();
+  let when = (t) => t ? new Date(t).toISOString() : null;
+  return {
+    blocks: this.blocks.mapByKey(b=>Object.assign({},b,{since: when(b.since), until: when(b.until)})),
+    strikes: this.strikes,
+    allowed: this.ignore.concat(this.allowed)
+  };
+};
+
+// cancel reviews...
+Blocklist.prototype.stop = function stop() {
+  clearInterval(this.timer);
+  return this.save();
+};
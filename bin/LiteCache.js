@@ -0,0 +1,259 @@
+/*
+LiteCache.js: response cache for proxies, i.e. static assets
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Keeps backend responses to GET requests, within a total size bound with least recently used eviction,
+and serves later requests for them without a backend round trip while fresh. Backends control caching
+by their Cache-Control, Expires, ETag, Last-Modified, and Vary headers: responses marked no-store or
+private, setting cookies, or lacking both a freshness lifetime and a validator are never kept; stale
+responses (including those with max-age=0 or no-cache, as Express static sends by default) get
+revalidated with a conditional request, so an unchanged response costs the backend only a 304.
+Clients' own conditional requests (If-None-Match, If-Modified-Since) get 304 responses from the cache.
+Responses carry an X-Cache header (HIT, REVALIDATED, or MISS), and counters are kept in stats
+(Stat tag <proxy-tag>-cache).
+
+configuration (proxy level key 'cache')...
+  cache: {
+    size: 67108864,       // total bytes of response bodies kept, default 64MB
+    item: 1048576,        // largest response body kept, default 1MB
+    dir: '../cache/https' // keep response bodies in files (cleared at start) instead of memory, optional
+  }
+
+SYNTAX:
+  const Cache = require('./LiteCache');
+  var cache = new Cache({cfg: cfg.cache, emsg: emsg, scribe: Scribe, tag: tag});
+  cache.serve(entry,host,rqst,rply);    // true if served from cache, else prepares the request for capture
+  proxy.on('proxyRes',(proxyRes,rqst,rply)=>cache.capture(proxyRes,rqst,rply));  // stores or revalidates
+  cache.purge(site,path);               // remove entries by site (or host) and/or path prefix
+*/
+
+require('./Extensions2JS');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+const DEFAULTS = {size: 67108864, item: 1048576};
+const HOP = ['connection','keep-alive','proxy-connection','transfer-encoding','upgrade'];  // hop-by-hop headers
+const UNSTORED = HOP.concat(['age','x-cache']);
+const NOT_MODIFIED = ['cache-control','content-location','date','etag','expires','last-modified','vary','age','x-cache'];  // headers of a 304
+
+// parse a Cache-Control header into directives, i.e. {'max-age': '600', public: true}...
+function directives(header) {
+  return String(header||'').toLowerCase().split(',').reduce((d,part)=>{
+    let [k,v] = part.trim().split('=');
+    if (k) d[k] = v===undefined ? true : v.replace(/"/g,'');
+    return d;
+  },{});
+};
+
+// freshness lifetime (ms) of a response from its headers...
+function lifetime(h) {
+  let cc = directives(h['cache-control']);
+  if (cc['no-cache']) return 0;
+  let age = cc['s-maxage']!==undefined ? cc['s-maxage'] : cc['max-age'];
+  if (age!==undefined) return Math.max(parseInt(age)||0,0)*1000;
+  if (h.expires) return Math.max((Date.parse(h.expires)-(Date.parse(h.date)||Date.now()))||0,0);
+  return 0;
+};
+
+// true if a client's conditional headers match an entry...
+function notModified(entry,h) {
+  let weak = (tag) => tag.trim().replace(/^W\//,'');
+  if (h['if-none-match']) return !!entry.etag && (h['if-none-match'].trim()=='*' || h['if-none-match'].split(',').map(weak).includes(weak(entry.etag)));
+  let since = Date.parse(h['if-modified-since']);
+  return !!(since && entry.lastModified && Date.parse(entry.lastModified)<=since);
+};
+
+module.exports = Cache = function Cache(context) {
+  this.tag = context.tag;
+  this.stat = context.tag+'-cache';
+  this.emsg = context.emsg;
+  this.scribe = context.scribe(context.tag);
+  this.cfg = ({}).mergekeys(DEFAULTS).mergekeys(context.cfg===true ? {} : context.cfg);
+  this.entries = new Map();  // by key, in order of use, least recent first
+  this.bytes = 0;
+  this.counts = {hits: 0, revalidated: 0, misses: 0, bypassed: 0, stored: 0, evicted: 0, purged: 0};
+  if (this.cfg.dir) this.clear();
+  this.record();
+};
+
+// remove response body files left by a previous run, since unindexed...
+Cache.prototype.clear = function clear() {
+  try {
+    fs.mkdirSync(this.cfg.dir,{recursive: true});
+    fs.readdirSync(this.cfg.dir).filter(f=>/^[\da-f]{16}\.body$/.test(f)).forEach(f=>fs.unlinkSync(path.join(this.cfg.dir,f)));
+  } catch (e) {
+    this.scribe.error("Cache[%s] directory '%s' not cleared: %s", this.tag, this.cfg.dir, e.toString());
+  };
+};
+
+// serve a routed request from the cache if fresh; otherwise mark it for capture, adding the validators
+// of a stale entry to revalidate it; true if served...
+Cache.prototype.serve = function serve(entry,host,rqst,rply) {
+  let cc = directives(rqst.headers['cache-control']);
+  if (!['GET','HEAD'].includes(rqst.method) || rqst.headers.range || cc['no-store']) return this.count('bypassed') && false;
+  let key = host.toLowerCase()+rqst.url;
+  let cached = this.entries.get(key);
+  if (cached && (!cached.ready || Object.keys(cached.vary).some(h=>(rqst.headers[h]||'')!==cached.vary[h]) ||
+    (rqst.headers.authorization && !cached.shared))) cached = undefined;  // pending, a different variant, or not shareable
+  if (cached && !cc['no-cache'] && cc['max-age']!=='0' && Date.now()-cached.time<cached.lifetime) {
+    this.entries.delete(key);  // most recently used
+    this.entries.set(key,cached);
+    this.count('hits');
+    this.scribe.trace("Cache[%s] HIT: %s", this.tag, key);
+    this.respond(cached,rqst,rply,'HIT');
+    return true;
+  };
+  if (rqst.method!='GET' || !cached || !(cached.etag || cached.lastModified)) this.count('misses');
+  if (rqst.method!='GET') return false;
+  rqst.cached = {key: key, site: entry.route.site || entry.key, host: host.toLowerCase(), url: rqst.url};
+  if (cached && (cached.etag || cached.lastModified)) {
+    rqst.cached.entry = cached;
+    rqst.cached.conditions = {'if-none-match': rqst.headers['if-none-match'], 'if-modified-since': rqst.headers['if-modified-since']};
+    delete rqst.headers['if-none-match'];
+    delete rqst.headers['if-modified-since'];
+    if (cached.etag) rqst.headers['if-none-match'] = cached.etag;
+    if (cached.lastModified) rqst.headers['if-modified-since'] = cached.lastModified;
+  };
+  return false;
+};
+
+// handle a backend response to a marked request: serve a revalidated entry, or pass the response on
+// (revalidations being self handled) while capturing its body to store if cacheable...
+Cache.prototype.capture = function capture(proxyRes,rqst,rply) {
+  let c = rqst.cached;
+  if (!c) return;
+  if (c.entry && proxyRes.statusCode==304) {
+    proxyRes.resume();
+    this.refresh(c.entry,proxyRes.headers);
+    this.count('revalidated');
+    this.scribe.trace("Cache[%s] REVALIDATED: %s", this.tag, c.key);
+    return this.respond(c.entry,rqst,rply,'REVALIDATED',c.conditions);
+  };
+  let life = this.storable(proxyRes,rqst);
+  proxyRes.headers['x-cache'] = 'MISS';
+  if (c.entry) {
+    this.count('misses');
+    this.remove(c.entry);  // replaced or no longer cacheable
+    Object.keys(proxyRes.headers).filter(k=>!HOP.includes(k)).forEach(k=>rply.setHeader(k,proxyRes.headers[k]));
+    rply.writeHead(proxyRes.statusCode,proxyRes.statusMessage);
+    proxyRes.pipe(rply);
+  };
+  if (life===false) return;
+  let chunks = [], size = 0;
+  proxyRes.on('data',chunk=>{
+    if (!chunks) return;
+    size += chunk.length;
+    if (size>this.cfg.item) chunks = null; else chunks.push(chunk);
+  });
+  proxyRes.on('end',()=>{ if (chunks && proxyRes.complete) this.store(c,proxyRes.headers,Buffer.concat(chunks),life,rqst); });
+};
+
+// freshness lifetime of a cacheable response, or false if not cacheable...
+Cache.prototype.storable = function storable(proxyRes,rqst) {
+  let h = proxyRes.headers;
+  let cc = directives(h['cache-control']);
+  if (proxyRes.statusCode!=200 || cc['no-store'] || cc['private'] || h['set-cookie'] || (h.vary||'').includes('*')) return false;
+  if (rqst.headers.authorization && !(cc['public'] || cc['s-maxage'] || cc['must-revalidate'])) return false;
+  if (parseInt(h['content-length'])>this.cfg.item) return false;
+  let life = lifetime(h);
+  return (life || h.etag || h['last-modified']) ? life : false;  // otherwise never reusable
+};
+
+// store a captured response, evicting least recently used entries beyond the size bound...
+Cache.prototype.store = function store(c,h,body,life,rqst) {
+  let cc = directives(h['cache-control']);
+  let headers = Object.keys(h).filter(k=>!UNSTORED.includes(k)).reduce((x,k)=>{ x[k] = h[k]; return x; },{});
+  headers['content-length'] = body.length;
+  let vary = (h.vary||'').toLowerCase().split(',').map(v=>v.trim()).filter(v=>v)
+    .reduce((x,v)=>{ x[v] = rqst.headers[v]||''; return x; },{});
+  let entry = {key: c.key, site: c.site, host: c.host, url: c.url, headers: headers, etag: h.etag, lastModified: h['last-modified'],
+    vary: vary, shared: !!(cc['public'] || cc['s-maxage'] || cc['must-revalidate']), lifetime: life,
+    time: Date.now()-(parseInt(h.age)||0)*1000, bytes: body.length, ready: !this.cfg.dir};
+  if (this.entries.has(c.key)) this.remove(this.entries.get(c.key));
+  this.entries.set(c.key,entry);
+  this.bytes += entry.bytes;
+  if (this.cfg.dir) {
+    entry.file = path.join(this.cfg.dir,crypto.randomBytes(8).toString('hex')+'.body');
+    fsp.writeFile(entry.file,body)
+      .then(()=>{ entry.ready = true; })
+      .catch(e=>{ this.scribe.error("Cache[%s] write of '%s' failed: %s", this.tag, entry.file, e.toString()); this.remove(entry); });
+  } else {
+    entry.body = body;
+  };
+  this.count('stored');
+  this.scribe.trace("Cache[%s] stored: %s (%s bytes)", this.tag, c.key, body.length);
+  for (let [key,old] of this.entries) {
+    if (this.bytes<=this.cfg.size) break;
+    this.remove(old);
+    this.count('evicted');
+  };
+};
+
+// update a revalidated entry from its 304 response headers...
+Cache.prototype.refresh = function refresh(entry,h) {
+  Object.keys(h).filter(k=>!UNSTORED.includes(k) && k!='content-length').forEach(k=>entry.headers[k]=h[k]);
+  entry.lifetime = lifetime(entry.headers);
+  entry.time = Date.now()-(parseInt(h.age)||0)*1000;
+  this.entries.delete(entry.key);  // most recently used
+  this.entries.set(entry.key,entry);
+};
+
+// respond with an entry, or a 304 if the client's conditions match...
+Cache.prototype.respond = function respond(entry,rqst,rply,state,conditions) {
+  let headers = Object.assign({},entry.headers,{'age': Math.floor(Math.max(Date.now()-entry.time,0)/1000), 'x-cache': state});
+  if (notModified(entry,conditions||rqst.headers)) {
+    rply.writeHead(304,NOT_MODIFIED.filter(k=>k in headers).reduce((x,k)=>{ x[k] = headers[k]; return x; },{}));
+    return rply.end();
+  };
+  if (rqst.method=='HEAD') {
+    rply.writeHead(200,headers);
+    return rply.end();
+  };
+  if (entry.body) {
+    rply.writeHead(200,headers);
+    return rply.end(entry.body);
+  };
+  fsp.readFile(entry.file)
+    .then(body=>{ rply.writeHead(200,headers); rply.end(body); })
+    .catch(e=>{
+      this.scribe.error("Cache[%s] read of '%s' failed: %s", this.tag, entry.file, e.toString());
+      this.remove(entry);
+      rply.writeHead(500,{'Content-Type': 'application/json'});
+      rply.end(JSON.stringify(this.emsg(500,'Cache read failed, please retry')));
+    });
+};
+
+// remove an entry, and any body file...
+Cache.prototype.remove = function remove(entry) {
+  if (this.entries.get(entry.key)!==entry) return;
+  this.entries.delete(entry.key);
+  this.bytes -= entry.bytes;
+  if (entry.file) fsp.unlink(entry.file).catch(e=>{});  // may not be written yet
+};
+
+// remove entries by site (name or host) and/or url path prefix, all if neither; returns the count...
+Cache.prototype.purge = function purge(site,prefix) {
+  let purged = [...this.entries.values()].filter(e=>(!site || e.site===site || e.host===site) && (!prefix || e.url.startsWith(prefix)));
+  purged.forEach(e=>this.remove(e));
+  this.counts.purged += purged.length;
+  this.record();
+  this.scribe.info("Cache[%s] purged %s entries (site: %s, path: %s)", this.tag, purged.length, site||'*', prefix||'*');
+  return {purged: purged.length, entries: this.entries.size};
+};
+
+// count an event and update stats; returns true...
+Cache.prototype.count = function count(event) {
+  this.counts[event]++;
+  this.record();
+  return true;
+};
+
+// record counters, size, and hit rate (including revalidations) in stats...
+Cache.prototype.record = function record() {
+  let c = this.counts;
+  let lookups = c.hits+c.revalidated+c.misses;
+  this.scribe.Stat.set(this.stat,undefined,Object.assign({},c,{entries: this.entries.size, bytes: this.bytes,
+    hitRate: lookups ? Math.round(1000*(c.hits+c.revalidated)/lookups)/10 : 0}));
+};
@@ -0,0 +1,200 @@
+/*
+LiteCluster.js: optional cluster mode running sites in worker processes
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Assigns groups of sites to named worker processes so one busy site can't stall the others.
+The primary process runs the proxies (routing to sites by host and port as always), any
+unassigned sites, and the command server; each worker runs only its assigned sites.
+Crashed workers restart with exponential backoff. Workers relay Scribe.Stat changes and
+server level (shared) database changes to the primary, which alone saves shared databases
+and relays each change (the keys and records modified) on to the other workers.
+
+configuration (server level key 'cluster')...
+  cluster: {
+    workers: {                // worker name: list of sites it runs
+      shop: ['shop'],
+      apps: ['sc','talk']
+    },
+    backoff: {                // crash restart delay (ms), doubles from min to max...
+      min: 1000,
+      max: 60000,
+      reset: 60000            // ...and resets to min after a worker runs this long
+    }
+  }
+
+messages (worker <--> primary), all flagged {hb: <type>, ...}...
+  stat:     worker -> primary   Scribe.Stat change {op, tag, key, value}
+  db:       worker -> primary   shared database modification {name, recipe, data}
+  change:   primary -> workers  applies a shared database modification {name, recipe, data}
+  load:     primary -> workers  reloads a shared database from file {name}
+  request:  worker -> primary   server level request {id, action, args}, i.e. reload, renew; answered by 'reply'
+
+SYNTAX:
+  const Cluster = require('./LiteCluster');
+  let assigned = Cluster.assignments(cfg.cluster);  // site -> worker name map
+  // primary...
+  var supervisor = new Cluster({cfg: cfg.cluster, db: db, requests: {...}, scribe: Scribe});
+  supervisor.start();   // forks workers
+  supervisor.restart(name); supervisor.report(); supervisor.stop();
+  // worker...
+  var link = Cluster.join({db: db, cleanup: cleanup, scribe: Scribe});
+  link.request(action,args);  // promise resolving to primary's reply
+*/
+
+require('./Extensions2JS');
+const cluster = require('cluster');
+
+// site to worker name map...
+function assignments(ccfg) {
+  let map = {};
+  for (let w in ((ccfg||{}).workers||{})) ccfg.workers[w].forEach(s=>map[s]=w);
+  return map;
+};
+
+module.exports = Cluster = function Cluster(context) {
+  this.cfg = ({backoff: {min: 1000, max: 60000, reset: 60000}}).mergekeys(context.cfg);
+  this.db = context.db;
+  this.requests = context.requests || {};
+  this.scribe = context.scribe('cluster');
+  this.workers = {};
+  this.scribe.Stat.set('cluster',undefined,{crashes: 0, restarts: 0, relayed: 0});
+  cluster.on('exit',(worker,code,signal)=>this.exited(worker,code,signal));
+};
+
+Cluster.assignments = assignments;
+
+// fork all configured workers...
+Cluster.prototype.start = function start() {
+  for (let name in this.cfg.workers) this.fork(name);
+};
+
+// fork a named worker...
+Cluster.prototype.fork = function fork(name) {
+  let entry = this.workers[name] = this.workers[name] || {name: name, sites: this.cfg.workers[name], delay: 0, restarts: 0};
+  entry.worker = cluster.fork({HBLITE_WORKER: name});
+  entry.started = Date.now();
+  entry.planned = false;
+  entry.worker.on('message',msg=>this.message(entry,msg));
+  this.scribe.info("Worker[%s]: started (pid %s) for sites: %s", name, entry.worker.process.pid, entry.sites.join(', '));
+};
+
+// worker exit: planned restarts fork at once, crashes restart after a backoff delay...
+Cluster.prototype.exited = function exited(worker,code,signal) {
+  let entry = Object.values(this.workers).find(e=>e.worker===worker);
+  if (!entry) return;
+  entry.worker = null;
+  if (this.stopping) return this.scribe.info("Worker[%s]: stopped", entry.name);
+  if (entry.planned) {
+    this.scribe.Stat.inc('cluster','restarts');
+    return this.fork(entry.name);
+  };
+  let b = this.cfg.backoff;
+  entry.delay = (Date.now()-entry.started>b.reset) ? b.min : Math.min(Math.max(entry.delay*2,b.min),b.max);
+  entry.restarts++;
+  this.scribe.Stat.inc('cluster','crashes');
+  this.scribe.error("Worker[%s]: exited (code: %s, signal: %s), restarting in %sms", entry.name, code, signal, entry.delay);
+  entry.timer = setTimeout(()=>{ if (!this.stopping) this.fork(entry.name); },entry.delay);
+};
+
+// handle messages from workers...
+Cluster.prototype.message = function message(entry,msg) {
+  if (!msg || !msg.hb) return;
+  switch (msg.hb) {
+    case 'stat':  // apply worker stats; initializing an existing tag keeps the primary's tallies...
+      if (!['set','inc','clear'].includes(msg.op)) return;
+      if (msg.op=='set' && msg.key===undefined && this.scribe.Stat.get(msg.tag)!==undefined) return;
+      this.scribe.Stat[msg.op](msg.tag,msg.key,msg.value);
+      break;
+    case 'db':    // apply the shared database change, then relay just that change to the workers...
+      let dbx = this.db[msg.name];
+      if (!dbx) return this.scribe.error("Worker[%s]: relayed change for unknown database '%s'", entry.name, msg.name);
+      dbx.modify(msg.recipe,msg.data,true);
+      this.scribe.Stat.inc('cluster','relayed');
+      // keyed (reference) changes go back to their origin too, so concurrent edits end in the primary's order
+      // everywhere; unkeyed adds would duplicate there, as the origin already applied them...
+      for (let w in this.workers) if (this.workers[w]!==entry || msg.recipe.reference)
+        this.send(this.workers[w],{hb: 'change', name: msg.name, recipe: msg.recipe, data: msg.data});
+      break;
+    case 'request':
+      Promise.resolve()
+        .then(()=>{ if (!(msg.action in this.requests)) throw `Unknown request: ${msg.action}`; return this.requests[msg.action](...(msg.args||[])); })
+        .then(data=>this.send(entry,{hb: 'reply', id: msg.id, data: data}))
+        .catch(e=>this.send(entry,{hb: 'reply', id: msg.id, error: e.toString()}));
+      break;
+  };
+};
+
+// send a message to a worker, if running...
+Cluster.prototype.send = function send(entry,msg) {
+  if (entry.worker && entry.worker.isConnected()) entry.worker.send(msg);
+};
+
+// send a message to all workers...
+Cluster.prototype.broadcast = function broadcast(msg) {
+  for (let w in this.workers) this.send(this.workers[w],msg);
+};
+
+// graceful restart of a worker, i.e. after its sites' configuration changed...
+Cluster.prototype.restart = function restart(name) {
+  let entry = this.workers[name];
+  if (!entry || !entry.worker) return false;
+  entry.planned = true;
+  entry.worker.disconnect();  // worker shuts down gracefully on disconnect
+  this.scribe.info("Worker[%s]: restarting", name);
+  return true;
+};
+
+// worker summary...
+Cluster.prototype.report = function report() {
+  return this.workers.mapByKey(e=>({pid: e.worker ? e.worker.process.pid : null, sites: e.sites, restarts: e.restarts,
+    state: e.worker ? 'running' : 'restarting', uptime: e.worker ? Math.round((Date.now()-e.started)/1000) : 0}));
+};
+
+// graceful stop of all workers; resolves when all have exited...
+Cluster.prototype.stop = function stop() {
+  this.stopping = true;
+  let running = Object.values(this.workers).filter(e=>{ clearTimeout(e.timer); return e.worker; });
+  return Promise.all(running.map(e=>new Promise(resolve=>{
+    e.worker.once('exit',resolve);
+    if (e.worker.isConnected()) e.worker.disconnect();
+  })));
+};
+
+// worker side link to the primary: relays stats and shared database changes, applies syncs, and
+// shuts down gracefully when the primary disconnects; Ctrl-C (SIGINT) reaches the whole process
+// group, so workers leave it to the primary...
+Cluster.join = function join(context) {
+  let scribe = context.scribe('cluster');
+  let pending = {};
+  let seq = 0;
+  scribe.Stat.relay((op,[tag,key,value])=>process.connected && process.send({hb: 'stat', op: op, tag: tag, key: key, value: value}));
+  for (let name in context.db) context.db[name].relay = (recipe,data) => process.send({hb: 'db', name: name, recipe: recipe, data: data});
+  process.on('message',msg=>{
+    if (!msg || !msg.hb) return;
+    let dbx = context.db[msg.name];
+    switch (msg.hb) {
+      case 'change':  // another process's change, applied without relaying it back (nor saving, left to the primary)
+        if (!dbx || !dbx.db) return;
+        let relay = dbx.relay;
+        dbx.relay = ()=>{};
+        try { dbx.modify(msg.recipe,msg.data,true); } finally { dbx.relay = relay; };
+        break;
+      case 'load': if (dbx) dbx.load().catch(e=>scribe.error("Shared database '%s' reload failed: %s", msg.name, e.toString())); break;
+      case 'reply':
+        if (!(msg.id in pending)) return;
+        msg.error ? pending[msg.id].reject(msg.error) : pending[msg.id].resolve(msg.data);
+        delete pending[msg.id];
+        break;
+    };
+  });
+  process.on('disconnect',()=>context.cleanup.gracefulExit(0));
+  process.removeAllListeners('SIGINT').on('SIGINT',()=>scribe.debug("SIGINT ignored, worker stops with the primary"));
+  return {
+    name: process.env.HBLITE_WORKER,
+    request: (action,...args) => new Promise((resolve,reject)=>{
+      let id = ++seq;
+      pending[id] = {resolve: resolve, reject: reject};
+      process.send({hb: 'request', id: id, action: action, args: args});
+    })
+  };
+};
@@ -0,0 +1,160 @@
+/*
+LiteCommand.js: local command/control server for runtime administration
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Defines a localhost-only JSON server for administering a running hbLite server without
+needing a logged-in admin on a public site. Binds to the loopback interface (by default)
+and rejects any non-local client. Since a web page in a local browser can still reach loopback,
+requests carrying an Origin header (browsers send it) or a non-JSON body get refused, and with a
+'secret' configured every request must present it in an 'X-Command-Secret' header, which pages
+can't send without a CORS preflight the server never grants.
+
+configuration (server level key 'command')...
+  command: {
+    host: '127.0.0.1',  // interface to bind, default loopback only
+    port: 8081,         // command server port
+    secret: '...',      // optional shared secret required as header 'X-Command-Secret', i.e. from private.js
+    tag: 'cmd'          // transcript tag
+  }
+
+endpoints...
+  GET  /sites                       list sites with proxy, host, port, and state
+  GET  /proxies                     list proxies with port, security, sites, and routes
+  GET  /stats[/<tag>[/<key>]]       server statistics from Scribe.Stat
+  GET  /scribe                      get the scribe mask level
+  GET  /outbox[/<channel>]          list notification sandbox captured messages
+  GET  /workers                     list cluster workers with pid, sites, state, and restarts
+  GET  /blocks                      list blocked IPs, repeat offenders, and allowed IPs
+  POST /block/<ip>[/<minutes>]      block an IP at the proxies, permanently unless minutes given
+  POST /unblock/<ip>                lift an IP block
+  POST /outbox/clear                clear notification sandbox captured messages
+  POST /scribe/<level>              set the scribe mask level
+  POST /purge[/<site>[/<path>]]     remove proxy cached responses, all or by site (name or host) and/or path prefix
+  POST /reload/<db>[/<site>]        reload a server database, or a site database
+  POST /renew[/<proxy>[/<name>]]    reload TLS secrets for all or a specific secure proxy, or one of its certificates
+  POST /site/<name>/enable          enable (i.e. start and route) a disabled site
+  POST /site/<name>/disable         disable (i.e. unroute and stop) a site
+  POST /reconfig                    hot reload of the server configuration
+  POST /shutdown                    graceful shutdown of the server
+
+SYNTAX:
+  const Command = require('./LiteCommand');
+  var command = new Command({cfg: cfg.command, emsg: emsg, scribe: Scribe, tag: 'cmd', control: {...}});
+  where control provides the server functions behind each endpoint
+*/
+
+// load module dependencies...
+require('./Extensions2JS');
+const crypto = require('crypto');
+const http = require('http');
+const url = require('url');
+
+module.exports = Command = function Command(context) {
+  this.cfg = ({host: '127.0.0.1'}).mergekeys(context.cfg);
+  this.tag = context.tag;
+  this.emsg = context.emsg;
+  this.control = context.control;
+  this.scribe = context.scribe(context.tag);
+  this.scribe.Stat.set(context.tag,undefined,{commands: 0, errors: 0, rejected: 0});
+  this.start();
+};
+
+// respond with JSON content...
+Command.prototype.reply = function reply(rply,data,code=200) {
+  rply.writeHead(code,{"Content-Type": "application/json"});
+  rply.end(JSON.stringify(data));
+};
+
+// performs a command, returning a value or promise...
+Command.prototype.command = function command(method,args) {
+  let ctrl = this.control;
+  let [cmd, opt1, opt2] = args;
+  if (method=='GET') {
+    switch (cmd) {
+      case 'sites': return ctrl.sites();
+      case 'proxies': return ctrl.proxies();
+      case 'stats': return this.scribe.Stat.get(opt1,opt2) || {};
+      case 'scribe': if (opt1) throw 404; return {mask: this.scribe.maskLevel()};  // set by POST only
+      case 'outbox': return ctrl.outbox({channel: opt1});
+      case 'workers': return ctrl.workers();
+      case 'blocks': return ctrl.blocks();
+    };
+  } else if (method=='POST') {
+    switch (cmd) {
+      case 'reload': if (!opt1) throw 400; return ctrl.reload(opt1,opt2);
+      case 'renew': return ctrl.renew(opt1,opt2);
+      case 'block': if (!opt1) throw 400; return ctrl.block(opt1,opt2);
+      case 'unblock': if (!opt1) throw 400; return ctrl.unblock(opt1);
+      case 'site': if (!['enable','disable'].includes(opt2)) throw 400; return ctrl[opt2](opt1);
+      case 'outbox': if (opt1!='clear') throw 400; return {cleared: ctrl.clearOutbox()};
+      case 'purge': return ctrl.purge(opt1,args.length>2 ? '/'+args.slice(2).join('/') : undefined);
+      case 'reconfig': return ctrl.reconfig();
+      case 'shutdown': setTimeout(ctrl.shutdown,100); return {msg: 'Server shutting down...'};  // allow reply first
+      case 'scribe': return {mask: this.scribe.maskLevel(opt1)};
+    };
+  } else {
+    throw 501;
+  };
+  throw 404;
+};
+
+// reason to refuse a request that a browser page could have sent, or lacking the secret, else ''...
+Command.prototype.refusal = function refusal(rqst) {
+  if (rqst.headers.origin) return 'cross-origin (browser) request';
+  let type = (rqst.headers['content-type']||'').split(';')[0].trim().toLowerCase();
+  if (type && type!='application/json') return `content type ${type}`;
+  if (this.cfg.secret) {
+    let given = Buffer.from(String(rqst.headers['x-command-secret']||''));
+    let secret = Buffer.from(String(this.cfg.secret));
+    if (given.length!==secret.length || !crypto.timingSafeEqual(given,secret)) return 'missing or invalid secret';
+  };
+  return '';
+};
+
+// command request handler...
+Command.prototype.handler = function handler() {
+  var self = this;
+  return function commandHandler(rqst,rply) {
+    let ip = rqst.socket.remoteAddress || '?';
+    if (!/^(::ffff:)?127\.\d+\.\d+\.\d+$|^::1$/.test(ip)) {  // local clients only!
+      self.scribe.Stat.inc(self.tag,'rejected');
+      self.scribe.warn("COMMAND rejected from non-local client: %s", ip);
+      return self.reply(rply,self.emsg(403),403);
+    };
+    let refused = self.refusal(rqst);
+    if (refused) {
+      self.scribe.Stat.inc(self.tag,'rejected');
+      self.scribe.warn("COMMAND[%s] %s rejected: %s", rqst.method, rqst.url, refused);
+      return self.reply(rply,self.emsg(403),403);
+    };
+    let args = [];
+    self.scribe.Stat.inc(self.tag,'commands');
+    Promise.resolve()
+      .then(()=>{
+        try { args = url.parse(rqst.url).pathname.split('/').filter(a=>a).map(a=>decodeURIComponent(a)); }
+        catch (e) { throw self.emsg(400,'Malformed URL'); };
+        self.scribe.info("COMMAND[%s]: %s", rqst.method, args.join(' '));
+        return self.command(rqst.method,args);
+      })
+      .then(data=>self.reply(rply,data))
+      .catch(e=>{
+        self.scribe.Stat.inc(self.tag,'errors');
+        let ex = !isNaN(e) ? self.emsg(e) : e && e.error===true ? e : self.emsg(500,e.toString());
+        self.scribe.error("COMMAND[%s] %s failed: %s", rqst.method, rqst.url, ex.msg);
+        self.reply(rply,ex,ex.code);
+      });
+  };
+};
+
+// launch command server...
+Command.prototype.start = function start() {
+  this.server = http.createServer(this.handler());
+  this.server.on('error',e=>this.scribe.error("Command server error: %s", e.toString()));
+  this.server.listen(this.cfg.port,this.cfg.host);
+  this.scribe.info("Command server listening on %s:%s", this.cfg.host, this.cfg.port);
+};
+
+// stop command server, resolves when closed...
+Command.prototype.stop = function stop() {
+  return new Promise(resolve=>this.server ? this.server.close(()=>resolve()) : resolve());
+};
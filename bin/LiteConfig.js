@@ -0,0 +1,457 @@
+/*
+LiteConfig.js: HomebrewLite server configuration validation
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Checks a server configuration against a declared schema before anything is started,
+so that typos and missing fields report as actionable errors instead of crashing deep
+inside a site or proxy constructor (or worse, silently running misconfigured).
+
+  - Validates every server, proxy, site, handler, database, and scribe block
+  - Reports ALL problems at once, each with its configuration path, e.g. cfg.sites.shop.port
+  - Honors 'active' flags by pruning inactive proxies, sites, handlers, databases, and shared services
+
+SYNTAX:
+  const LiteConfig = require('./LiteConfig');
+  let report = LiteConfig.check(cfg, {handlers: ['LiteData',...], schemaOf: (h)=>{...}});
+  // handlers: builtin (and plugin) handler names; schemaOf: optional lookup of a handler's option schemas
+  // report: {cfg: <pruned configuration>, errors: [...], warnings: [...]}
+  console.log(LiteConfig.format(report));
+
+schema definitions: each node declares...
+  type:       'string', 'number', 'integer', 'boolean', 'object', 'array', 'function', 'regexp', 'any', or array of these
+  required:   flag that the key must be defined
+  keys:       schemas of the named keys of an object; undeclared keys report as warnings
+  open:       flag allowing undeclared keys without warnings
+  each:       schema for every value of an object (i.e. map) or element of an array
+  values:     list of allowed values
+  check:      custom test function (value,path,report) called after type checks pass
+*/
+
+require('./Extensions2JS');
+const fs = require('fs');
+const Scheduler = require('./LiteScheduler');
+const URLMap = require('./LiteURLMap');
+
+// transcript levels known to LiteScribe...
+const LEVELS = ['dump','trace','debug','log','info','warn','error','fatal','flush'];
+
+// type checking helpers...
+const typeOf = (v) => v instanceof Array ? 'array' : v instanceof RegExp ? 'regexp' : v===null ? 'null' : typeof v;
+const isType = (v,t) => t=='any' || (t=='integer' ? Number.isInteger(v) : typeOf(v)==t);
+
+// record a problem...
+var problem = (list,path,msg) => { list.push({path: path, msg: msg}); };
+
+// checks that a required module resolves relative to the server code (i.e. bin) folder...
+function resolvable(spec,path,report) {
+  try { require.resolve(spec,{paths:[__dirname]}); }
+  catch (e) { problem(report.errors,path,`module '${spec}' not found`); };
+};
+
+// checks that a file exists...
+function fileExists(spec,path,report) {
+  if (!fs.existsSync(spec)) problem(report.errors,path,`file '${spec}' not found`);
+};
+
+// checks a port number...
+function portNumber(port,path,report) {
+  if (port<1 || port>65535) problem(report.errors,path,`port ${port} out of range (1-65535)`);
+};
+
+// configuration schema; handlers lists the builtin handler names, schemaOf looks up handler (plugin) option schemas...
+function schema(handlers=[],schemaOf=()=>undefined) {
+  const database = { type: 'object', keys: {
+    active: {type: 'boolean'},
+    delay: {type: 'integer'},
+    file: {type: 'string', required: true},
+    format: {type: 'string', values: ['pretty']},
+    log: {type: 'string'},
+    readOnly: {type: 'boolean'}
+  }};
+  const databases = { type: 'object', each: database };
+  const handler = { type: ['string','object'], open: true,  // undeclared keys checked against any plugin option schemas
+    check: (h,path,report) => {
+      let name = typeof h=='string' ? h : h.plugin;
+      if (name!==undefined && !handlers.includes(name))
+        problem(report.errors,typeof h=='string' ? path : `${path}.plugin`,`unknown handler '${name}', expected one of: ${handlers.join(', ')}`);
+      if (typeof h=='string') return;
+      if (!h.tag && !h.plugin) problem(report.errors,`${path}.tag`,'required but not defined');
+      let options = schemaOf(h) || {};
+      validate(h,{type: 'object', keys: options, open: true},path,report);
+      for (let k in h) if (!(k in handler.keys) && !(k in options)) problem(report.warnings,`${path}.${k}`,'unknown key ignored (typo?)');
+    },
+    keys: {
+      active: {type: 'boolean'},
+      anonymous: {type: 'boolean'},
+      channels: {type: 'object', each: {type: 'object', keys: {publish: {type: ['string','array']}, subscribe: {type: ['string','array']}}}},
+      code: {type: 'string', check: resolvable},
+      db: {type: ['string','object']},
+      heartbeat: {type: 'integer'},
+      maxPayload: {type: 'integer'},
+      method: {type: 'string', values: ['use','all','get','post','put','delete']},
+      options: {type: 'object'},
+      plugin: {type: 'string'},
+      require: {type: 'string', check: resolvable},
+      root: {type: 'string'},
+      route: {type: 'string'},
+      stream: {type: ['boolean','object'], keys: {heartbeat: {type: 'integer'}, throttle: {type: 'integer'}}},
+      tag: {type: 'string'}  // required, except for plugin references
+    }
+  };
+  const headers = { type: 'object', each: {type: ['string','number','boolean']} };
+  const job = { type: 'object',
+    check: (j,path,report) => {
+      if (!j.task && !j.require) problem(report.errors,`${path}.task`,"required, or 'require' for a custom task");
+      if (!j.cron===!j.every) problem(report.errors,path,"requires exactly one of 'cron' or 'every'");
+      try { if (j.cron) Scheduler.parseCron(j.cron); if (j.every) Scheduler.parseInterval(j.every); }
+      catch (e) { problem(report.errors,`${path}.${j.cron?'cron':'every'}`,e); };
+    },
+    keys: {
+      active: {type: 'boolean'},
+      cron: {type: 'string'},
+      every: {type: ['string','integer']},
+      immediate: {type: 'boolean'},
+      options: {type: 'object'},
+      require: {type: 'string', check: resolvable},
+      task: {type: 'string', values: Object.keys(Scheduler.TASKS)}
+    }
+  };
+  const jobs = { type: 'object', each: job };
+  const limit = { type: 'object', keys: {
+    burst: {type: 'integer'},
+    by: {type: 'string', values: ['ip','user']},
+    rate: {type: 'number', required: true}
+  }};
+  const certFiles = { type: 'object', required: true, keys: {
+    cert: {type: 'string', required: true, check: fileExists},
+    key: {type: 'string', required: true, check: fileExists}
+  }};
+  const upstream = { type: 'object', keys: {
+    cooldown: {type: 'integer'},
+    fails: {type: 'integer'},
+    retries: {type: 'integer'},
+    strategy: {type: 'string', values: ['round-robin','least-conn','primary']},
+    targets: {type: 'array', required: true, each: {type: ['string','object'], keys: {
+      host: {type: 'string', required: true},
+      port: {type: 'integer', check: portNumber},
+      protocol: {type: 'string', values: ['http:','https:']}
+    }, check: (t,path,report) => { if (typeof t=='string' && !/^(https?:\/\/)?[^:/]+(:\d+)?\/?$/.test(t))
+      problem(report.errors,path,"expected target of the form '[http(s)://]host[:port]'"); }}}
+  }};
+  const health = { type: ['boolean','object'], keys: {
+    fails: {type: 'integer'},
+    interval: {type: 'integer'},
+    maintenance: {type: 'object', keys: {file: {type: 'string', check: fileExists}, msg: {type: 'string'}}},
+    method: {type: 'string', values: ['GET','HEAD','OPTIONS']},
+    notify: {type: ['boolean','string','array'], check: (n,path,report) => { if (n!==false && !asList(n).every(c=>['sms','mail'].includes(c)))
+      problem(report.errors,path,"expected false, or channels 'sms' and/or 'mail'"); }},
+    passes: {type: 'integer'},
+    path: {type: 'string'},
+    timeout: {type: 'integer'}
+  }};
+  return { type: 'object', keys: {
+    $DUMP: {type: 'string', values: LEVELS},
+    $HOST: {type: 'string'},
+    $VERSION: {type: 'string'},
+    $email: {type: 'object', keys: {
+      defaults: {type: 'object', required: true},
+      name: {type: 'string'},
+      smtp: {type: 'object', required: true}
+    }},
+    $twilio: {type: 'object', keys: {
+      accountSID: {type: 'string', required: true},
+      admin: {type: ['string','array'], required: true},
+      authToken: {type: 'string', required: true},
+      callback: {type: 'string'},
+      callbackContacts: {type: 'object'},
+      number: {type: 'string', required: true}
+    }},
+    blocklist: {type: 'object', keys: {
+      allow: {type: 'array', each: {type: 'string'}},
+      duration: {type: 'integer'},
+      file: {type: 'string'},
+      interval: {type: 'integer'},
+      max: {type: 'integer'},
+      thresholds: {type: 'object', each: {type: 'integer'}, check: (t,path,report) => Object.keys(t)
+        .filter(k=>k!='probes' && !/^\d{3}$/.test(k)).forEach(k=>problem(report.errors,`${path}.${k}`,"expected 'probes' or an error code"))}
+    }},
+    cluster: {type: 'object', keys: {
+      backoff: {type: 'object', keys: {max: {type: 'integer'}, min: {type: 'integer'}, reset: {type: 'integer'}}},
+      workers: {type: 'object', required: true, each: {type: 'array', each: {type: 'string'}}}
+    }},
+    command: {type: 'object', keys: {
+      host: {type: 'string'},
+      port: {type: 'integer', required: true, check: portNumber},
+      secret: {type: 'string'},
+      tag: {type: 'string'}
+    }},
+    databases: databases,
+    env: {type: 'object'},
+    headers: headers,
+    info: {type: 'object'},
+    notify: {type: 'object', keys: {
+      defaults: {type: 'object', keys: {mail: {type: 'object'}, sms: {type: 'object'}}},
+      fallback: {type: 'object', keys: {mail: {type: ['array','string']}, sms: {type: ['array','string']}}},
+      sandbox: {type: ['boolean','object'], keys: {console: {type: 'boolean'}, file: {type: 'string'}, size: {type: 'integer'}}},
+      tag: {type: 'string'},
+      transports: {type: 'object', each: {type: 'object', open: true, keys: {
+        type: {type: 'string', required: true, values: ['twilio','smtp','esms','outbox']}
+      }, check: (t,path,report) => {
+        let need = {twilio: ['accountSID','authToken','number'], smtp: ['smtp'], esms: ['via','gateways'], outbox: []}[t.type] || [];
+        need.filter(k=>t[k]===undefined).forEach(k=>problem(report.errors,`${path}.${k}`,`required for '${t.type}' transport`));
+      }}}
+    }},
+    plugins: {type: 'object', each: {type: ['string','object'],
+      check: (p,path,report) => { if (typeof p=='string') resolvable(p,path,report); },
+      keys: {
+        param: {type: 'string'},
+        prefix: {type: 'string'},
+        require: {type: 'string', required: true, check: resolvable},
+        route: {type: 'string'},
+        tag: {type: 'string'}
+      }}},
+    proxies: { type: 'object', required: true, each: { type: 'object', keys: {
+      accessLog: {type: ['boolean','object'], keys: {
+        daily: {type: 'boolean'},
+        file: {type: 'string'},
+        format: {type: 'string', values: ['combined','json']},
+        keep: {type: 'integer'},
+        size: {type: 'integer'}
+      }},
+      active: {type: 'boolean'},
+      cache: {type: ['boolean','object'], keys: {
+        dir: {type: 'string'},
+        item: {type: 'integer'},
+        size: {type: 'integer'}
+      }},
+      default: {type: ['string','object'], keys: {
+        host: {type: 'string', required: true},
+        port: {type: 'integer', check: portNumber}
+      }},
+      hsts: {type: ['boolean','object'], keys: {
+        includeSubDomains: {type: 'boolean'},
+        maxAge: {type: 'integer'},
+        preload: {type: 'boolean'}
+      }, check: (h,path,report) => { if (h.preload && (!h.includeSubDomains || (h.maxAge!==undefined && h.maxAge<31536000)))
+        problem(report.warnings,path,'preload requires includeSubDomains and a maxAge of at least 31536000 (1 year)'); }},
+      limit: limit,
+      options: {type: 'object'},
+      port: {type: 'integer', required: true, check: portNumber},
+      redirect: {type: ['boolean','object'], keys: {
+        code: {type: 'integer', values: [301,302,307,308]},
+        except: {type: 'array', each: {type: 'string'}},
+        hosts: {type: ['string','array']},
+        port: {type: 'integer', check: portNumber}
+      }},
+      report: {type: 'object', keys: { ignore: {type: 'array', each: {type: 'string'}} }},
+      routes: {type: 'object', each: {type: 'object', keys: {
+        health: health,
+        host: {type: 'string', required: true},
+        path: {type: 'string'},
+        port: {type: 'integer', check: portNumber},
+        priority: {type: 'number'},
+        regex: {type: 'string', check: (r,path,report) => { try { new RegExp(r); } catch (e) { problem(report.errors,path,e.message); }; }},
+        strip: {type: 'boolean'},
+        upstream: upstream
+      }}},
+      secure: {type: 'object', keys: {
+        files: certFiles,
+        hosts: {type: 'object', each: certFiles, check: (h,path,report) => Object.keys(h)
+          .filter(n=>!/^(\*\.)?[\w-]+(\.[\w-]+)*$/.test(n)).forEach(n=>problem(report.errors,`${path}.${n}`,"expected a hostname or wildcard ('*.example.net')"))},
+        watch: {type: ['boolean','object'], keys: {debounce: {type: 'integer'}, notify: health.keys.notify}}
+      }},
+      sites: {type: 'array', required: true, each: {type: 'string'}},
+      tag: {type: 'string'},
+      verbose: {type: 'boolean'}
+    }}},
+    scribe: { type: ['string','object'], required: true, keys: {
+      mask: {type: 'string', values: LEVELS},
+      tag: {type: 'string'},
+      transcript: {type: 'object', keys: {
+        bsize: {type: 'integer'},
+        file: {type: 'string'},
+        fsize: {type: 'integer'}
+      }}
+    }},
+    scheduler: {type: 'object', keys: {
+      history: {type: 'integer'},
+      jobs: jobs,
+      tag: {type: 'string'}
+    }},
+    shared: {type: 'object', each: {type: 'object', keys: {
+      active: {type: 'boolean'},
+      init: {type: 'object'},
+      options: {type: 'object'},
+      require: {type: 'string', required: true, check: resolvable},
+      tag: {type: 'string'}
+    }}},
+    shutdown: {type: 'object', keys: {
+      timeout: {type: 'integer'}
+    }},
+    sites: { type: 'object', required: true, each: { type: 'object', keys: {
+      active: {type: 'boolean'},
+      aliases: {type: 'array', each: {type: 'string'}},
+      app: {type: ['string','object','boolean','null'],
+        check: (a,path,report) => { if (a===true) problem(report.errors,path,"expected module name, object, or false (i.e. external backend)");
+          if (typeof a=='string') resolvable(a,path,report); },
+        keys: {
+          init: {type: 'object'},
+          options: {type: 'object'},
+          require: {type: 'string', required: true, check: resolvable}
+        }},
+      auth: {type: 'object', keys: {
+        code: {type: 'object', keys: {base: {type: 'integer'}, expiration: {type: 'number'}, size: {type: 'integer'}}},
+        jwt: {type: 'object', keys: {expiration: {type: 'number'}}},
+        secret: {type: 'string'},
+        totp: {type: 'object', keys: {issuer: {type: 'string'}, key: {type: 'string'}, recovery: {type: 'integer'}, require: {type: ['string','array']},
+          timeout: {type: 'number'}, window: {type: 'integer'}}}
+      }},
+      contact: {type: ['string','object']},
+      cors: {type: 'object', keys: {allow: {type: 'array', each: {type: 'string'}}}},
+      databases: databases,
+      handlers: {type: 'array', each: handler},
+      headers: headers,
+      health: health,
+      host: {type: 'string', required: true},
+      limits: {type: 'object', each: {type: ['boolean','object'], keys: limit.keys}},
+      mail: {type: 'object'},
+      map: {type: 'object'},
+      name: {type: 'string'},
+      port: {type: 'integer', required: true, check: portNumber},
+      redirect: {type: 'object', each: {type: 'string'}},
+      rewrite: {type: ['object','array']},
+      urlRules: {type: 'array', each: {type: 'object', keys: {
+        host: {type: ['string','regexp']},
+        last: {type: 'boolean'},
+        method: {type: ['string','array']},
+        name: {type: 'string'},
+        path: {type: ['string','regexp']},
+        query: {type: 'object'},
+        redirect: {type: ['boolean','integer']},
+        replace: {type: 'boolean'},
+        to: {type: 'string', required: true}
+      }, check: (r,path,report) => { if (typeof r.to=='string') try { URLMap.compile(r); } catch (e) { problem(report.errors,path,e.toString()); } }}},
+      root: {type: 'string'},
+      scheduler: {type: 'object', keys: {jobs: jobs}},
+      secureRedirect: {type: 'array'},
+      tag: {type: 'string'},
+      twilio: {type: 'object'},
+      upstream: upstream,
+      x: {type: 'object', keys: {locals: {type: 'object'}, settings: {type: 'object'}}}
+    }}}
+  }};
+};
+
+// recursively validate a value against a schema node, recording problems in report...
+function validate(value,node,path,report) {
+  let types = asList(node.type||'any');
+  if (!types.some(t=>isType(value,t)))
+    return problem(report.errors,path,`expected ${types.join(' or ')}, found ${typeOf(value)}`);
+  if (node.values && !node.values.includes(value))
+    return problem(report.errors,path,`invalid value '${value}', expected one of: ${node.values.join(', ')}`);
+  if (typeOf(value)=='object') {
+    if (node.keys) {
+      for (let k in node.keys) {
+        if (node.keys[k].required && value[k]===undefined) problem(report.errors,`${path}.${k}`,'required but not defined');
+      };
+      for (let k in value) {
+        if (k in node.keys) {
+          if (value[k]!==undefined) validate(value[k],node.keys[k],`${path}.${k}`,report);
+        } else if (!node.each && !node.open) {
+          problem(report.warnings,`${path}.${k}`,'unknown key ignored (typo?)');
+        };
+      };
+    };
+    if (node.each) for (let k in value) validate(value[k],node.each,`${path}.${k}`,report);
+  } else if (typeOf(value)=='array' && node.each) {
+    value.forEach((v,i)=>validate(v,node.each,`${path}[${i}]`,report));
+  };
+  if (node.check) node.check(value,path,report);
+};
+
+// removes blocks flagged inactive (i.e. active: false) so that nothing downstream sees them...
+function prune(cfg,report) {
+  const inactive = (blk) => verifyThat(blk,'isTrueObject') && blk.active===false;
+  const dropKeys = (obj,path) => { for (let k in obj||{}) if (inactive(obj[k])) {
+    problem(report.notes,`${path}.${k}`,'inactive, ignored'); delete obj[k]; }; };
+  dropKeys(cfg.proxies,'cfg.proxies');
+  dropKeys(cfg.sites,'cfg.sites');
+  dropKeys(cfg.databases,'cfg.databases');
+  dropKeys(cfg.shared,'cfg.shared');
+  for (let s in cfg.sites||{}) {
+    dropKeys(cfg.sites[s].databases,`cfg.sites.${s}.databases`);
+    if (cfg.sites[s].handlers instanceof Array) {
+      cfg.sites[s].handlers.forEach((h,i)=>{ if (inactive(h)) problem(report.notes,`cfg.sites.${s}.handlers[${i}]`,'inactive, ignored'); });
+      cfg.sites[s].handlers = cfg.sites[s].handlers.filter(h=>!inactive(h));
+    };
+  };
+};
+
+// cross references between configuration blocks...
+function crossCheck(cfg,report) {
+  let served = [];
+  let ports = {};
+  const usePort = (port,path) => { if (port in ports) {
+    problem(report.errors,path,`port ${port} already used by ${ports[port]}`); } else { ports[port] = path; }; };
+  if (verifyThat(cfg.command,'isTrueObject')) usePort(cfg.command.port,'cfg.command.port');
+  for (let p in cfg.proxies) {
+    let pcfg = cfg.proxies[p];
+    usePort(pcfg.port,`cfg.proxies.${p}.port`);
+    if (pcfg.redirect && pcfg.secure) problem(report.warnings,`cfg.proxies.${p}.redirect`,'redirect only applies to plain http proxies, ignored');
+    if (pcfg.hsts && !pcfg.secure) problem(report.warnings,`cfg.proxies.${p}.hsts`,'HSTS only applies to secure proxies, ignored');
+    if (typeof pcfg.default=='string' && !(pcfg.default in (pcfg.routes||{})) && !(pcfg.sites||[]).includes(pcfg.default))
+      problem(report.errors,`cfg.proxies.${p}.default`,`'${pcfg.default}' is not a route or site of this proxy`);
+    (pcfg.sites||[]).forEach((s,i)=>{
+      if (!(s in (cfg.sites||{}))) problem(report.warnings,`cfg.proxies.${p}.sites[${i}]`,`site '${s}' not defined or inactive, not served`);
+      if (served.includes(s)) problem(report.errors,`cfg.proxies.${p}.sites[${i}]`,`site '${s}' served by more than one proxy`);
+      served.push(s);
+    });
+  };
+  let assigned = {};
+  for (let w in ((cfg.cluster||{}).workers||{})) (cfg.cluster.workers[w] instanceof Array ? cfg.cluster.workers[w] : []).forEach((s,i)=>{
+    let path = `cfg.cluster.workers.${w}[${i}]`;
+    if (s in assigned) problem(report.errors,path,`site '${s}' already assigned to worker '${assigned[s]}'`);
+    assigned[s] = w;
+    if (!(s in (cfg.sites||{}))) problem(report.warnings,path,`site '${s}' not defined or inactive`);
+    else if (cfg.sites[s].app===false) problem(report.warnings,path,`site '${s}' is an external backend, nothing to run`);
+  });
+  for (let s in cfg.sites) {
+    if (!served.includes(s)) problem(report.warnings,`cfg.sites.${s}`,'not served by any proxy, not started');
+    if (cfg.sites[s].app!==false) usePort(cfg.sites[s].port,`cfg.sites.${s}.port`);
+    (cfg.sites[s].handlers||[]).forEach((h,i)=>{
+      if (verifyThat(h,'isTrueObject') && h.tag=='static' && !h.root && !h.code && !h.require)
+        problem(report.errors,`cfg.sites.${s}.handlers[${i}].root`,"required for 'static' handler");
+      if (verifyThat(h,'isTrueObject') && h.tag!='static' && !h.code && !h.require && !h.plugin)
+        problem(report.errors,`cfg.sites.${s}.handlers[${i}].code`,'required for custom handler');
+    });
+  };
+};
+
+// validate and prune a configuration; options.handlers lists builtin handler names, options.schemaOf looks up plugin schemas...
+function check(cfg,options={}) {
+  let report = {cfg: cfg, errors: [], warnings: [], notes: []};
+  if (!verifyThat(cfg,'isTrueObject')) {
+    problem(report.errors,'cfg',`expected object, found ${typeOf(cfg)}`);
+    return report;
+  };
+  prune(cfg,report);
+  validate(cfg,schema(options.handlers,options.schemaOf),'cfg',report);
+  if (!report.errors.some(e=>/^cfg\.(proxies|sites)$/.test(e.path))) crossCheck(cfg,report);
+  return report;
+};
+
+// format a report as readable text...
+function format(report) {
+  let lines = [];
+  [['ERROR',report.errors],['WARN',report.warnings],['NOTE',report.notes]].forEach(([lbl,list])=>
+    list.forEach(p=>lines.push(`  ${lbl.pad(' ',6)}${p.path}: ${p.msg}`)));
+  lines.unshift(`Configuration check: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  return lines.join('\n');
+};
+
+module.exports = {
+  check: check,
+  format: format,
+  schema: schema,
+  validate: validate
+};
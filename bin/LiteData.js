@@ -8,10 +8,19 @@ Specific processing depends on a recipe definition object. See HomebrewAPI for r
 Assumes parameter based express routing: '/\\$:recipe(\\w+)/:opt1?/:opt2?/:opt3?/:opt4?/:opt5?'
   that defines a / followed by a '$' prefix character, followed by a required recipe key (word only), followed by up to 5 optional params.
   NOTE: different routings can differentiate different middleware databases or recipe lists as long as each defines a unique prefix
+
+GET requests accepting 'text/event-stream' (i.e. EventSource) open a Server-Sent Events stream of the recipe's
+results instead: an initial 'result' event, then a 'result' event with the new results whenever the recipe's
+collection (any collection if the recipe defines none) changes or its XJSON file gets written, or an 'append'
+event with only the new items when array results just grew. Comment lines keep idle streams alive through proxies.
+Authenticated streams end, after an 'expired' event, when the user's JWT expires, so clients must reconnect
+with a fresh token. Recipes may refuse streaming with 'stream: false'. Optional handler configuration...
+  stream: {heartbeat: 20000, throttle: 500}  // ms between keep alive comments, and least ms between updates; false disables streams
 */
 
 // load dependencies...
 require('./Extensions2JS');
+const fs = require('fs');
 const jxjDB = require('./jxjDB');
 
 exports = module.exports = Data = function Data(options) {
@@ -28,12 +37,84 @@ exports = module.exports = Data = function Data(options) {
   let dbName = options.db ? (typeof options.db=='string' ? options.db : 'local') : 'site';
   scribe.trace("Middleware '%s' connected to '%s' database (file: %s)", options.code, dbName, db.file);
   scribe.info("Middleware '%s' initialized with route: %s", options.code, options.route);
+  var streaming = options.stream===false ? null : ({heartbeat: 20000, throttle: 500}).mergekeys(options.stream===true ? {} : options.stream||{});
+  site.streams = site.streams || new Set();  // open streams, ended when the site stops
+
+  // time (ms) the request's authentication expires, from its JWT (basic logins just issued one), else 0...
+  const expiration = (auth) => {
+    if (!site.auth || !auth.authenticated) return 0;
+    let user = auth.user || {};
+    return user.exp ? user.exp*1000 : ((user.iat || Date.now()/1000|0)+site.auth.jwt.expiration*60)*1000;
+  };
+
+  // stream recipe results as Server-Sent Events, updated as the underlying data changes...
+  function stream(rqst,rply,next,bindings) {
+    let [name, member] = [rqst.params.recipe, rqst.hb.auth.user.member];
+    let recipe = db.lookup(name);
+    if (recipe.name && recipe.stream===false) return next(site.server.emsg(400,`Recipe ${name} does not support streaming`));
+    let last, id = 0, timer, watcher, expiry;
+    const send = (event,data) => {
+      rply.write(`id: ${++id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (rply.flush) rply.flush();  // compression buffers otherwise
+    };
+    const update = () => db.inquire(name,bindings,member)
+      .then(result=>{
+        let text = JSON.stringify(result);
+        if (text===last) return;
+        let prior = last && JSON.parse(last);
+        if (prior instanceof Array && result instanceof Array && result.length>prior.length && JSON.stringify(result.slice(0,prior.length))===last) {
+          send('append',result.slice(prior.length));
+        } else {
+          send('result',result);
+        };
+        last = text;
+      })
+      .catch(e=>send('error',isNaN(e) ? site.server.emsg(500,e.toString()) : site.server.emsg(e)));
+    const changed = (change) => {
+      let relevant = recipe.xjson ? change.xjson===recipe.xjson : (!change.collection || !recipe.collection || change.collection===recipe.collection);
+      if (relevant && !timer) timer = setTimeout(()=>{ timer = null; recipe = db.lookup(name); update(); },streaming.throttle);
+    };
+    db.inquire(name,bindings,member)
+      .then(result=>{
+        if (rqst.socket.destroyed) return;  // client gone already
+        rply.set({'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no'});
+        rply.write('retry: 5000\n\n');
+        send('result',result);
+        last = JSON.stringify(result);
+        db.on('change',changed);
+        if (recipe.xjson) {  // appends by other processes too, i.e. data loggers
+          try { watcher = fs.watch(recipe.xjson,{persistent: false},()=>changed({xjson: recipe.xjson})); }
+          catch (e) { scribe.warn("DATA[%s]: can't watch '%s': %s", site.tag, recipe.xjson, e.toString()); };
+        };
+        let heartbeat = setInterval(()=>{ rply.write(': heartbeat\n\n'); if (rply.flush) rply.flush(); },streaming.heartbeat);
+        let expires = expiration(rqst.hb.auth);
+        if (expires) expiry = setTimeout(()=>{  // credentials only checked at the start, so no streaming past them
+          send('expired',site.server.emsg(401,'Authentication expired, reconnect with a new token'));
+          rply.end();
+        },Math.min(Math.max(expires-Date.now(),0),2**31-1));
+        site.streams.add(rply);
+        scribe.Stat.set(site.tag,'streams',site.streams.size);
+        scribe.debug("DATA[%s]: %s streaming %s", site.tag, rqst.hb.auth.username||rqst.ip, name);
+        rqst.on('close',()=>{
+          db.removeListener('change',changed);
+          if (watcher) watcher.close();
+          clearInterval(heartbeat);
+          clearTimeout(timer);
+          clearTimeout(expiry);
+          site.streams.delete(rply);
+          scribe.Stat.set(site.tag,'streams',site.streams.size);
+          scribe.debug("DATA[%s]: stream of %s closed", site.tag, name);
+        });
+      })
+      .catch(e=>{ scribe.error("Check %s for details...",db.logFile); e!==404 ? next(e) : next(); });  // 404 may resolve if chained databases
+  };
 
   // this function called by express app for each page request...
   return function dataMiddleware(rqst, rply, next) {
-    scribe.info("DATA[%s]: %s -> %s",site.tag, rqst.originalUrl, JSON.stringify(rqst.params));
+    scribe.info("DATA[%s]: %s -> %s",site.tag, redactURL(rqst.originalUrl), JSON.stringify(rqst.params));
     if (rqst.method==='GET'){
       let bindings = Object.keys(rqst.query).length>0 ? rqst.query : [rqst.params.opt1,rqst.params.opt2,rqst.params.opt3,rqst.params.opt4,rqst.params.opt5].filter(v=>v!==undefined);
+      if (streaming && (rqst.headers.accept||'').includes('text/event-stream')) return stream(rqst,rply,next,bindings);
       db.inquire(rqst.params.recipe,bindings,rqst.hb.auth.user.member)
         .then(d=>{ rply.json(d); })
         .catch(e=>{ scribe.error("Check %s for details...",db.logFile); e!==404 ? next(e) : next(); });  // 404 may resolve if chained databases
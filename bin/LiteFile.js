@@ -108,7 +108,7 @@ exports = module.exports = Data = function Data(options) {
 
   // this function called by express app for each page request...
   return function fileMiddleware(rqst, rply, next) {
-    scribe.info("FILE[%s]: %s -> %s",site.tag, rqst.originalUrl, JSON.stringify(rqst.params));
+    scribe.info("FILE[%s]: %s -> %s",site.tag, redactURL(rqst.originalUrl), JSON.stringify(rqst.params));
     let recipe = db.lookup(rqst.params.recipe);
     if (verifyThat(recipe,'isNotEmpty')) {
       if (!recipe.root) return next(500);
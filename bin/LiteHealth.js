@@ -0,0 +1,162 @@
+/*
+LiteHealth.js: backend health probes and maintenance responses for proxy routes
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Periodically probes each proxy route (i.e. site) configured with a 'health' block, tracks its
+state in stats (Stat tag <proxy-tag>-health), notifies on state changes, and provides a friendly
+maintenance response (HTML page or JSON) in place of proxying while a backend is down.
+
+configuration (site level key 'health', or any configured proxy route object)...
+  health: {
+    path: '/',              // probe request path, default '/'
+    method: 'HEAD',         // probe request method, default 'HEAD'
+    interval: 30000,        // ms between probes, default 30000
+    timeout: 5000,          // ms before a probe fails, default 5000
+    fails: 3,               // consecutive failures marking a backend down, default 3
+    passes: 2,              // consecutive successes marking a backend up again, default 2
+    notify: ['sms','mail'], // notification channels for state changes, default ['sms'], false for none
+    maintenance: {
+      file: '<path>',       // HTML page served while down, or...
+      msg: '<text>'         // message for the default page and JSON responses
+    }
+  }
+
+A probe passes for any response status below 500. Backends start in an 'unknown' state, routed as up.
+
+SYNTAX:
+  const Health = require('./LiteHealth');
+  var health = new Health({emsg: emsg, notify: notify, scribe: Scribe, tag: tag});
+  health.update(routes);          // (re)configure probes for routes, i.e. after a reload
+  health.down(route)              // true if route backend down
+  health.respond(route,rqst,rply) // send maintenance response
+  health.stop();                  // cancel probes
+*/
+
+require('./Extensions2JS');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+
+const DEFAULTS = {path: '/', method: 'HEAD', interval: 30000, timeout: 5000, fails: 3, passes: 2, notify: ['sms'], maintenance: {}};
+
+module.exports = Health = function Health(context) {
+  this.emsg = context.emsg;
+  this.notify = context.notify;
+  this.tag = context.tag;
+  this.stat = context.tag+'-health';
+  this.scribe = context.scribe(context.tag);
+  this.probes = {}; // probe state by route name (i.e. site), one per backend
+};
+
+// (re)configure probes for routes with health blocks; unchanged probes keep running with their state...
+Health.prototype.update = function update(routes) {
+  let wanted = {};
+  for (let r in routes) {
+    let route = routes[r];
+    if (!route.health) continue;
+    let name = route.site = route.site || r;
+    if (!(name in wanted)) wanted[name] = route;  // aliases share a backend
+  };
+  for (let name in this.probes) {
+    let probe = this.probes[name];
+    if (!(name in wanted) || JSON.stringify(wanted[name])!==probe.sig) {
+      clearTimeout(probe.timer);
+      delete this.probes[name];
+      this.scribe.Stat.clear(this.stat,name);
+    };
+  };
+  for (let name in wanted) {
+    if (name in this.probes) continue;
+    let route = wanted[name];
+    let cfg = ({}).mergekeys(DEFAULTS).mergekeys(route.health===true ? {} : route.health);
+    let probe = {name: name, cfg: cfg, route: route, sig: JSON.stringify(route), state: 'unknown', since: new Date().toISOString(), ok: 0, bad: 0};
+    if (cfg.maintenance.file) {
+      try { probe.page = fs.readFileSync(cfg.maintenance.file,'utf8'); }
+      catch (e) { this.scribe.error("Health[%s] maintenance page '%s' not loaded: %s", name, cfg.maintenance.file, e.toString()); };
+    };
+    this.probes[name] = probe;
+    this.record(probe);
+    this.schedule(probe,0);
+    this.scribe.debug("Health[%s]: probing %s:%s%s every %sms", name, route.host, route.port, cfg.path, cfg.interval);
+  };
+};
+
+// schedule the next probe...
+Health.prototype.schedule = function schedule(probe,delay) {
+  probe.timer = setTimeout(()=>this.probe(probe).then(()=>{ if (this.probes[probe.name]===probe) this.schedule(probe,probe.cfg.interval); }),delay);
+  probe.timer.unref();
+};
+
+// probe a backend once; resolves with pass (true) or fail (false), never rejects...
+Health.prototype.probe = function probe(probe) {
+  let route = probe.route;
+  let t0 = new Date().valueOf();
+  return new Promise(resolve=>{
+    let lib = route.protocol=='https:' ? https : http;
+    let rqst = lib.request({host: route.host, port: route.port, path: probe.cfg.path, method: probe.cfg.method,
+      timeout: probe.cfg.timeout, rejectUnauthorized: false, headers: {'user-agent': 'HomebrewLite health probe'}}, rply=>{
+      rply.resume();  // discard content
+      resolve(rply.statusCode<500 ? null : `status ${rply.statusCode}`);
+    });
+    rqst.on('timeout',()=>rqst.destroy(new Error(`timeout after ${probe.cfg.timeout}ms`)));
+    rqst.on('error',e=>resolve(e.message||e.toString()));
+    rqst.end();
+  }).then(error=>{
+    probe.latency = new Date().valueOf()-t0;
+    probe.checked = new Date().toISOString();
+    if (error) { probe.bad++; probe.ok = 0; probe.error = error; } else { probe.ok++; probe.bad = 0; probe.error = null; };
+    let state = probe.state;
+    if (probe.bad>=probe.cfg.fails && state!='down') this.change(probe,'down');
+    if (!error && (state=='unknown' || (state=='down' && probe.ok>=probe.cfg.passes))) this.change(probe,'up');
+    this.record(probe);
+    return !error;
+  });
+};
+
+// record probe state in stats...
+Health.prototype.record = function record(probe) {
+  this.scribe.Stat.set(this.stat,probe.name,{state: probe.state, since: probe.since, checked: probe.checked||null,
+    latency: probe.latency||null, failures: probe.bad, error: probe.error||null});
+};
+
+// state change, transcripted and notified...
+Health.prototype.change = function change(probe,state) {
+  let was = probe.state;
+  probe.state = state;
+  probe.since = new Date().toISOString();
+  if (was=='unknown' && state=='up') return this.scribe.info("Health[%s]: backend up", probe.name);
+  let text = `HomebrewLite backend ${probe.name} (${probe.route.host}:${probe.route.port}) is ${state.toUpperCase()}` +
+    (state=='down' ? `: ${probe.error}` : '');
+  this.scribe[state=='down'?'warn':'info']("Health[%s]: %s", probe.name, text);
+  if (!this.notify || !probe.cfg.notify) return;
+  let channels = asList(probe.cfg.notify);
+  if (channels.includes('sms')) this.notify.sms({text: text})
+    .catch(e=>this.scribe.error("Health[%s] text notification failed: %s", probe.name, e.toString()));
+  if (channels.includes('mail')) this.notify.mail({subject: `Backend ${probe.name} ${state}`, body: text})
+    .catch(e=>this.scribe.error("Health[%s] mail notification failed: %s", probe.name, e.toString()));
+};
+
+// true if a route's backend is down...
+Health.prototype.down = function down(route) {
+  let probe = route.health && this.probes[route.site];
+  return !!probe && probe.state=='down';
+};
+
+// send a maintenance response: JSON for API requests (i.e. $, @, ! routes) or JSON clients, otherwise a page...
+Health.prototype.respond = function respond(route,rqst,rply) {
+  let probe = this.probes[route.site] || {cfg: {maintenance: {}, interval: DEFAULTS.interval}};
+  let msg = probe.cfg.maintenance.msg || 'Temporarily unavailable for maintenance, please try again later.';
+  let headers = {'Retry-After': Math.ceil(probe.cfg.interval/1000), 'Cache-Control': 'no-store'};
+  if (/^\/[$@!]/.test(rqst.url) || /json/.test(rqst.headers.accept||'')) {
+    rply.writeHead(503,Object.assign(headers,{'Content-Type': 'application/json'}));
+    return rply.end(JSON.stringify(this.emsg(503,msg)));
+  };
+  rply.writeHead(503,Object.assign(headers,{'Content-Type': 'text/html'}));
+  rply.end(probe.page || `<!DOCTYPE html><html><head><title>Maintenance</title></head><body><h2>${route.site||''}</h2><p>${msg}</p></body></html>`);
+};
+
+// cancel all probes...
+Health.prototype.stop = function stop() {
+  for (let name in this.probes) clearTimeout(this.probes[name].timer);
+  this.probes = {};
+};
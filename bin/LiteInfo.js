@@ -13,6 +13,8 @@ assumes parameter based express routing: '/([!]):info(\\w+)'
     date:     Returns a server date record            GET /!date  =>  {"date": "2019-04-25T13:43:23.882Z", "time": 1556199803.882, "zone": "MDT", "adj": -360}
     rqst:     Returns a record of request details...  GET /!rqst  =>  { ... }
     stats:    Returns internal stats                  GET /!stats =>  { ... }
+    jobs:     Returns scheduled jobs, run history...  GET /!jobs  =>  { ... }
+    health:   Returns site handler (plugin) health    GET /!health => {"ok": true, "plugins": { ... }}, status 503 if not ok
     info:     Returns a record of all info            GET /!info  =>  { ... }
 */
 
@@ -70,13 +72,18 @@ exports = module.exports = Info = function Info(options) {
       case 'ip4': info = {ip:getIP(rqst).v4}; break;
       case 'time': info = {epoch: epoch()}; break;
       case 'date': info = getDateTime(); break;
-      case 'rqst': info = ok ? getRqst(rqst) : site.emsg(401); break;
-      case 'stats': info = ok ? scribe.Stat.get() : site.emsg(401); break;
+      case 'rqst': info = ok ? getRqst(rqst) : site.server.emsg(401); break;
+      case 'stats': info = ok ? scribe.Stat.get() : site.server.emsg(401); break;
+      case 'jobs': info = ok ? (site.server.scheduler ? site.server.scheduler.report() : {}) : site.server.emsg(401); break;
+      case 'health':  // open to health probes, details only for admin
+        return site.health()
+          .then(h=>rply.status(h.ok ? 200 : 503).json(ok ? h : {ok: h.ok}))
+          .catch(e=>next(e));
       case 'history': info = 'TBD'; break;
       default:  
         let now = new Date();
         info = { ip: getIP(rqst), time: epoch(now), date: getDateTime(), 
-          request: ok?getRqst(rqst):site.emsg(401), stats: ok?scribe.Stat.get():site.emsg(401), history: 'TBD' };
+          request: ok?getRqst(rqst):site.server.emsg(401), stats: ok?scribe.Stat.get():site.server.emsg(401), history: 'TBD' };
     };
     rply.json(info);
   }
@@ -0,0 +1,85 @@
+/*
+LiteLimiter.js: token bucket rate limiting per client for proxies and site routes
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Each client (IP or authenticated user) gets a bucket per rule holding up to 'burst' tokens, refilled
+at 'rate' tokens per minute; each request takes a token, and requests finding an empty bucket get
+refused with a 429 (Too Many Requests) error and a Retry-After time. Idle buckets get pruned.
+
+configuration (proxy level key 'limit')...
+  limit: {rate: 600, burst: 100}  // requests per minute per IP, and bucket size (default rate/2)
+
+configuration (site level key 'limits', rules by path prefix, longest match applies)...
+  a rule matches its path and paths below it ('/login' not '/loginhelp'), or with a trailing '*' any path starting so
+  limits: {
+    '/$*': {rate: 120, burst: 60, by: 'user'},  // by 'ip' (default) or authenticated 'user' (ip if anonymous)
+    '/login': {rate: 10, burst: 5},             // overrides a builtin default
+    '/@grant': false                            // disables a builtin default
+  }
+
+builtin site defaults guard paths that send codes (i.e. SMS at a cost) or check credentials:
+  '/login': {rate: 20, burst: 10}, '/login/totp', '/user/code', '/user/register', '/user/reset', '/user/totp',
+  and '/@grant': {rate: 6, burst: 3}
+
+SYNTAX:
+  const Limiter = require('./LiteLimiter');
+  var limiter = new Limiter({rules: {...}, defaults: {...}, scribe: Scribe, tag: tag});
+  let rule = limiter.rule(path);      // longest matching rule, or undefined
+  let wait = limiter.take(rule,id);   // 0 if allowed, else seconds until a token is available
+  limiter.stop();                     // cancel pruning
+*/
+
+require('./Extensions2JS');
+
+const SITE_DEFAULTS = {'/login': {rate: 20, burst: 10}, '/login/totp': {rate: 6, burst: 3}, '/user/code': {rate: 6, burst: 3},
+  '/user/register': {rate: 6, burst: 3}, '/user/reset': {rate: 6, burst: 3}, '/user/totp': {rate: 6, burst: 3}, '/@grant': {rate: 6, burst: 3}};
+const PRUNE = 60000;  // ms between pruning of full (i.e. idle) buckets
+
+module.exports = Limiter = function Limiter(context) {
+  this.tag = context.tag;
+  this.scribe = context.scribe(context.tag);
+  let rules = ({}).mergekeys(context.defaults||{}).mergekeys(context.rules||{});
+  this.rules = Object.keys(rules).filter(k=>rules[k]).sort((a,b)=>b.length-a.length)
+    .map(k=>({key: k, prefix: k.endsWith('*') ? k.slice(0,-1) : k.replace(/\/?$/,'/'), rate: rules[k].rate, burst: rules[k].burst || Math.max(Math.ceil(rules[k].rate/2),1), by: rules[k].by || 'ip'}));
+  this.buckets = new Map();
+  this.timer = setInterval(()=>this.prune(),PRUNE);
+  this.timer.unref();
+};
+
+Limiter.SITE_DEFAULTS = SITE_DEFAULTS;
+
+// longest rule matching a path...
+Limiter.prototype.rule = function rule(path) {
+  return this.rules.find(r=>path===r.key || path.startsWith(r.prefix));
+};
+
+// take a token from a client's bucket for a rule; returns 0 if allowed, else seconds to wait...
+Limiter.prototype.take = function take(rule,id) {
+  let now = Date.now();
+  let key = rule.key+'|'+id;
+  let bucket = this.buckets.get(key) || {tokens: rule.burst, time: now};
+  bucket.tokens = Math.min(rule.burst,bucket.tokens+(now-bucket.time)*rule.rate/60000);
+  bucket.time = now;
+  this.buckets.set(key,bucket);
+  if (bucket.tokens>=1) {
+    bucket.tokens -= 1;
+    return 0;
+  };
+  this.scribe.Stat.inc(this.tag+'-limited',rule.key||'*');
+  return Math.ceil((1-bucket.tokens)*60/rule.rate);
+};
+
+// drop buckets refilled since last use, which behave the same as new ones...
+Limiter.prototype.prune = function prune() {
+  let now = Date.now();
+  let rules = this.rules.reduce((x,r)=>{ x[r.key] = r; return x; },{});
+  for (let [key,bucket] of this.buckets) {
+    let rule = rules[key.slice(0,key.lastIndexOf('|'))];
+    if (!rule || bucket.tokens+(now-bucket.time)*rule.rate/60000>=rule.burst) this.buckets.delete(key);
+  };
+};
+
+// cancel pruning...
+Limiter.prototype.stop = function stop() {
+  clearInterval(this.timer);
+};
@@ -0,0 +1,237 @@
+/*
+LiteNotify.js: multi-transport notification service for text (SMS) and mail messages
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Delivers text and mail messages through pluggable transports, trying each transport
+of a channel's fallback chain in order until one succeeds.
+
+Transport types...
+  twilio:   SMS by Twilio API                 channels: sms
+  smtp:     email by SMTP server (emailjs)    channels: mail
+  esms:     SMS by email-to-SMS gateways      channels: sms (sends mail via a named smtp transport)
+  outbox:   local JSON-lines file/console     channels: sms, mail (never fails, useful as last resort)
+
+configuration (server level key 'notify'), defaults derived from legacy $twilio and $email keys...
+  notify: {
+    transports: {
+      <name>: {type: 'twilio', accountSID, authToken, number, admin, callback, callbackContacts},
+      <name>: {type: 'smtp', smtp: {...}, defaults: {to, from, subject, text}, name},
+      <name>: {type: 'esms', via: <smtp_transport_name>, gateways: {<provider>: '%s@...'}, defaults: {provider, from}},
+      <name>: {type: 'outbox', file: '../logs/outbox.log', console: true}
+    },
+    fallback: {       // transport order tried for each channel, default all transports serving the channel
+      sms: ['twilio','esms','outbox'],
+      mail: ['smtp','outbox']
+    },
+    defaults: {       // defaults for messages lacking recipients
+      sms: {to: '+15055551234'},
+      mail: {to: 'admin@example.net', from: 'server@example.net', subject: 'Server notification', text: ''}
+    },
+    sandbox: {        // optional sandbox mode (or just true): captures ALL messages instead of sending
+      file: '../logs/sandbox.log',  // optional JSON-lines record of captured messages
+      size: 100,                    // in-memory ring size of captured messages
+      console: true                 // optionally transcript captured messages
+    },
+    tag: 'notify'
+  }
+
+In sandbox mode no transport sends anything, so sites can be exercised offline without
+Twilio/SMTP credentials; each captured message records its fully resolved recipient and the
+transport that would have been used. See outbox() and clearOutbox() methods.
+
+Text recipients may be phone numbers or contact objects {number, email, provider, prefer}, where
+  provider names the carrier gateway for esms and prefer names a preferred transport tried first
+  or 'mail' to deliver the text to the contact's email address instead.
+
+SYNTAX:
+  const Notify = require('./LiteNotify');
+  var notify = new Notify({cfg: cfg.notify, email: cfg.$email, twilio: cfg.$twilio, scribe: Scribe});
+  notify.sms({numbers: [...], body: 'text', callback: <url>})  // returns promise of {report: {summary, transcript}, queue}
+  notify.mail({to, cc, bcc, from, subject, body, id, time, hdr})  // returns promise of {report, msg, transport}
+  notify.outbox({channel, to, limit})   // sandbox captured messages, newest last
+  notify.clearOutbox()                  // empties sandbox ring, returns count cleared
+*/
+
+require('./Extensions2JS');
+const fsp = require('fs').promises;
+const frmt = require('util').format;
+
+// transport constructors, each returns an object with a channels list and an async send(channel,msg) method...
+var transports = {
+  twilio: function twilio(cfg) {
+    const Twilio = require('twilio'); // Twilio SMS API, loaded only if used
+    let client = null;
+    return { cfg: cfg, channels: ['sms'],
+      send: async (channel,msg) => {
+        client = client || new Twilio(cfg.accountSID,cfg.authToken);
+        return await client.messages.create({to: msg.to, from: cfg.number, body: msg.body, statusCallback: msg.callback||cfg.callback||null});
+      }
+    };
+  },
+  smtp: function smtp(cfg) {
+    const email = require('emailjs');   // email server API, loaded only if used
+    return { cfg: cfg, channels: ['mail'],
+      send: (channel,msg) => new Promise((resolve,reject)=>{
+        try {
+          let server = email.server.connect(cfg.smtp);  // connect to server and send the message...
+          server.send(msg,(e,rpt)=>{ if (e) { reject(e) } else { resolve(rpt); }; });
+        } catch(e) { reject(e); }; // report failure
+      })
+    };
+  },
+  esms: function esms(cfg,notify) {
+    return { cfg: cfg, channels: ['sms'],
+      send: async (channel,msg) => {
+        let provider = msg.provider || (cfg.defaults||{}).provider;
+        let gateway = (cfg.gateways||{})[provider];
+        if (!gateway) throw `No email-to-SMS gateway for provider '${provider}'`;
+        let via = notify.transports[cfg.via];
+        if (!via || !via.channels.includes('mail')) throw `esms 'via' transport '${cfg.via}' not a mail transport`;
+        let to = frmt(gateway,String(msg.to).replace(/^\+1/,'').replace(/\D/g,''));
+        let from = (cfg.defaults||{}).from || (via.cfg.defaults||{}).from;
+        return await via.send('mail',{to: to, from: from, subject: '', text: msg.body});
+      }
+    };
+  },
+  outbox: function outbox(cfg,notify) {
+    return { cfg: cfg, channels: ['sms','mail'],
+      send: async (channel,msg) => {
+        let entry = {time: new Date().toISOString(), channel: channel, msg: msg};
+        if (cfg.console) notify.scribe.info("OUTBOX[%s]: %s", channel, JSON.stringify(msg));
+        if (cfg.file) await fsp.appendFile(cfg.file,JSON.stringify(entry)+'\n','utf8');
+        return entry;
+      }
+    };
+  }
+};
+
+module.exports = Notify = function Notify(context) {
+  let cfg = context.cfg || {};
+  this.cfg = cfg;
+  this.tag = cfg.tag || 'notify';
+  this.scribe = context.scribe(this.tag);
+  // legacy configuration equivalents...
+  let legacy = {};
+  if (context.twilio) legacy.twilio = ({type: 'twilio'}).mergekeys(context.twilio);
+  if (context.email) legacy.smtp = ({type: 'smtp'}).mergekeys(context.email);
+  this.transports = {};
+  let tcfgs = cfg.transports || legacy;
+  for (let t in tcfgs) {
+    let type = tcfgs[t].type || t;
+    if (!(type in transports)) { this.scribe.error("Unknown notification transport type '%s' for '%s', ignored!", type, t); continue; };
+    this.transports[t] = transports[type](tcfgs[t],this);
+    this.transports[t].name = t;
+    this.transports[t].type = type;
+    this.scribe.debug("Notification transport '%s' (%s) defined for: %s", t, type, this.transports[t].channels.join(', '));
+  };
+  // fallback chains default to all transports serving the channel, in order defined...
+  const serving = (ch) => Object.keys(this.transports).filter(t=>this.transports[t].channels.includes(ch));
+  this.fallback = {sms: asList((cfg.fallback||{}).sms || serving('sms')), mail: asList((cfg.fallback||{}).mail || serving('mail'))};
+  // message defaults, from the first transports that define them unless configured...
+  let admin = Object.values(this.transports).find(t=>t.cfg.admin) || {cfg: {}};
+  let smtp = Object.values(this.transports).find(t=>t.cfg.defaults && t.channels.includes('mail')) || {cfg: {}};
+  this.defaults = {sms: {to: admin.cfg.admin}, mail: ({name: smtp.cfg.name}).mergekeys(smtp.cfg.defaults)}.mergekeys(cfg.defaults);
+  // sandbox mode captures messages rather than sending...
+  this.sandbox = cfg.sandbox ? ({size: 100}).mergekeys(cfg.sandbox===true ? {} : cfg.sandbox) : null;
+  this.captured = [];   // sandbox ring
+  this.count = 0;       // sandbox message counter, i.e. id
+  if (this.sandbox) this.scribe.warn("Notification SANDBOX mode: messages captured, NOT sent!");
+  this.scribe.Stat.set(this.tag,undefined,{sent: 0, failed: 0, fallbacks: 0, captured: 0});
+  // bound wrappers, so methods can be passed as server context functions...
+  this.sms = (msg) => this.sendText(msg);
+  this.mail = (msg) => this.sendMail(msg);
+};
+
+// deliver a message on a channel, trying each transport of the chain (preferred first) until one succeeds...
+Notify.prototype.deliver = async function deliver(channel,msg,prefer) {
+  let chain = this.fallback[channel].filter(t=>t in this.transports);
+  if (prefer && (prefer in this.transports) && this.transports[prefer].channels.includes(channel))
+    chain = [prefer,...chain.filter(t=>t!==prefer)];
+  if (this.sandbox) return {transport: 'sandbox', result: await this.capture(channel,msg,chain[0]||null), errors: []};
+  if (!chain.length) throw 501;  // no transports configured for channel
+  let errors = [];
+  for (let t of chain) {
+    try {
+      let result = await this.transports[t].send(channel,msg);
+      this.scribe.Stat.inc(this.tag,'sent');
+      this.scribe.Stat.inc(this.tag,`${t}-sent`);
+      if (errors.length) this.scribe.Stat.inc(this.tag,'fallbacks');
+      return {transport: t, result: result, errors: errors};
+    } catch (e) {
+      this.scribe.Stat.inc(this.tag,`${t}-errors`);
+      this.scribe.warn("Notification[%s] transport '%s' failed for %s: %s", channel, t, msg.to, e.toString());
+      errors.push(`${t}: ${e.toString()}`);
+    };
+  };
+  this.scribe.Stat.inc(this.tag,'failed');
+  throw `All ${channel} transports failed for ${msg.to} (${errors.join('; ')})`;
+};
+
+// sandbox capture of a message to the in-memory ring and optional file...
+Notify.prototype.capture = async function capture(channel,msg,transport) {
+  let entry = {id: ++this.count, time: new Date().toISOString(), channel: channel, transport: transport, to: msg.to, msg: msg};
+  if (transport && this.transports[transport].cfg.type=='esms') // resolve gateway address
+    entry.gateway = ((this.transports[transport].cfg.gateways||{})[msg.provider||(this.transports[transport].cfg.defaults||{}).provider]);
+  this.captured.push(entry);
+  if (this.captured.length>this.sandbox.size) this.captured.shift();
+  this.scribe.Stat.inc(this.tag,'captured');
+  if (this.sandbox.console) this.scribe.info("SANDBOX[%s] %s (%s): %s", channel, msg.to, transport, msg.body||msg.text);
+  if (this.sandbox.file) await fsp.appendFile(this.sandbox.file,JSON.stringify(entry)+'\n','utf8')
+    .catch(e=>this.scribe.error("Sandbox file '%s' write failed: %s", this.sandbox.file, e.toString()));
+  return entry;
+};
+
+// list sandbox captured messages, optionally filtered by channel and/or recipient, and limited to the latest n...
+Notify.prototype.outbox = function outbox(filter={}) {
+  let list = this.captured.filter(m=>(!filter.channel || m.channel==filter.channel) && (!filter.to || String(m.to).includes(filter.to)));
+  return filter.limit ? list.slice(-filter.limit) : list;
+};
+
+// empty the sandbox ring; file record untouched...
+Notify.prototype.clearOutbox = function clearOutbox() {
+  let n = this.captured.length;
+  this.captured = [];
+  return n;
+};
+
+// text messaging; assumes msg provides valid 'numbers' (array or comma delimited string, numbers or contacts, or use defaults) and a 'body/text'...
+Notify.prototype.sendText = async function sendText(msg) {
+  let numbers = (msg.numbers && msg.numbers.length) ? msg.numbers : this.defaults.sms.to;  // defaults when no recipients
+  if (!numbers) throw 501;
+  numbers = (typeof numbers=='string' ? numbers.split(',') : [].concat(numbers)).map(n=>typeof n=='object' ? n : {number: n});
+  let body = msg.body || msg.text;
+  let queue = await Promise.all(numbers.map(n=>{
+    let to = n.number;
+    let sent = (n.prefer=='mail' && n.email) ?
+      this.deliver('mail',this.mailFormat({to: n.email, body: body})).then(d=>({...d, to: n.email})) :
+      this.deliver('sms',{to: to, body: body, callback: msg.callback, provider: n.provider},n.prefer).then(d=>({...d, to: to}));
+    return sent
+      .then(d=>{ d.transcript = `Text message queued to: ${d.to} (${d.transport})`; this.scribe.debug(d.transcript); return d; })
+      .catch(e=>({to: to, error: e, transcript: `Text message to ${to} FAILED: ${e}`}));
+  }));
+  let good = queue.filter(q=>!q.error).length;
+  if (!good) throw queue.map(q=>q.transcript).join('; ');
+  let transcript = queue.map(q=>q.transcript);
+  return {report: {summary: `Text message queued for ${good} ${good==1?'number':'numbers'}`, transcript: transcript}, queue: queue};
+};
+
+// format mail message with optional header (id and/or time) and defaults...
+Notify.prototype.mailFormat = function mailFormat(msg) {
+  let dflts = this.defaults.mail;
+  msg.id = msg.id || dflts.name || '';
+  msg.timestamp = msg.time ? '['+new Date().toISOString()+']' : '';
+  msg.body = (msg.hdr || ((msg.id||msg.timestamp) ? msg.id+msg.timestamp+':\n' : '')) + msg.body;
+  if (!(msg.to||msg.cc||msg.bcc)) msg.to = dflts.to;
+  msg.from = msg.from || dflts.from;
+  // resolve remaining msg parts
+  msg.subject = msg.subject || dflts.subject;
+  msg.text = msg.body || dflts.text;
+  return msg;
+};
+
+// mail messaging...
+Notify.prototype.sendMail = async function sendMail(msg) {
+  this.mailFormat(msg);
+  let sent = await this.deliver('mail',msg);
+  return {report: sent.result, msg: msg, transport: sent.transport};
+};
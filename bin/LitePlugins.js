@@ -0,0 +1,209 @@
+/*
+LitePlugins.js: handler plugin registry and lifecycle for sites
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Site handlers (cfg.sites.<site>.handlers) load as plugins. The registry holds named handler definitions,
+the builtins (LiteData, LiteFile, LiteAction, LiteInfo, LiteSocket) plus any server level configured 'plugins',
+so sites reference them by name, and reserves route prefixes ($, ~, @, ! for the builtins) so that no two
+handlers claim the same one. Each site mounts its handlers with error isolation: a handler that fails to load,
+lacks a declared dependency, or has invalid options answers its route with an error instead of stopping the site,
+and request errors (thrown or rejected) get counted and answered with a 500.
+
+plugin module contract, either...
+  function:   handler factory, called as factory.call(site,hx) with the handler definition hx,
+              returning express middleware (the original contract, still supported); the hooks below
+              may be attached as properties of the function
+  object:     plugin definition...
+    {
+      init: function(hx) {...},       // required, called with the site as 'this', returns express middleware
+      ready: function(hx) {...},      // optional, called once the site listens
+      shutdown: function(hx) {...},   // optional, called when the site stops, may return a promise
+      health: function(hx) {...},     // optional, returns (or resolves) a report {ok: <boolean>, ...}
+      requires: {                     // optional dependencies, checked before init...
+        databases: ['site'],          //   site databases, plus any definition 'db' key named database
+        services: ['mail','scheduler']//   site or server context services, including shared services
+      },
+      schema: {<key>: <node>, ...},   // optional handler option schemas, as LiteConfig nodes
+      prefix: '^',                    // optional route prefix claimed, one of: ! $ & * + , ; = @ ~ ^ |
+      param: 'recipe',                // route parameter named for the prefix keyword, default 'recipe'
+      route, tag                      // optional defaults for handler definitions
+    }
+  A definition with a prefix but no route gets the route '/<prefix><param>/:opt1?/:opt2?/:opt3?/:opt4?/:opt5?'.
+
+configuration (server level key 'plugins')...
+  plugins: {
+    LiteQueue: './LiteQueue',                                   // module, relative to the bin folder, or...
+    LiteMeta: {require: './LiteMeta', prefix: '^', tag: 'meta'} // overrides of the module's definition
+  }
+  sites reference plugins as builtins, by name ('LiteQueue'), or by object ({plugin: 'LiteMeta', ...options})
+
+SYNTAX:
+  const Plugins = require('./LitePlugins');
+  Plugins.register(name,definition);    // adds a named handler definition, throws on name or prefix conflicts
+  Plugins.configure(cfg.plugins);       // registers configured plugins, returns problems [{path, msg}]
+  Plugins.schemaOf(handler);            // handler option schemas of a configured handler, if any
+  var plugins = new Plugins({site: site});
+  plugins.mount(handler);               // loads and mounts a configured handler (name or object) on the site app
+  plugins.ready();                      // runs ready hooks, once the site listens
+  plugins.health();                     // async, {ok, plugins: {<name>: {state, errors, ...report}}}
+  plugins.shutdown();                   // async, runs shutdown hooks
+*/
+
+require('./Extensions2JS');
+const express = require('express');
+const LiteConfig = require('./LiteConfig');
+
+const PREFIXES = "!$&*+,;=@~^|";  // route prefix characters allowed
+var registry = {};                // handler definitions by name
+var prefixes = {};                // claimed route prefixes, i.e. {'$': 'LiteData'}
+
+// default route for a prefix...
+const prefixRoute = (prefix,param='recipe') => `/\\${prefix}:${param}(\\w+)/:opt1?/:opt2?/:opt3?/:opt4?/:opt5?`;
+
+// load a handler module, normalized as a plugin definition...
+function load(hx) {
+  let mod = require(hx.code||hx.require);
+  let def = typeof mod=='function' ? Object.assign({init: mod},mod) : mod;  // factory, with any attached hooks
+  if (!def || typeof def.init!='function') throw `module '${hx.code||hx.require}' is not a handler plugin (no init function)`;
+  return def;
+};
+
+// resolve a configured handler (name or object) to a handler definition copy...
+function resolve(h) {
+  if (typeof h=='string') return h in registry ? ({}).mergekeys(registry[h]).mergekeys({name: h}) : undefined;
+  if (!verifyThat(h,'isTrueObject') || (h.plugin && !(h.plugin in registry))) return undefined;
+  return ({}).mergekeys(h.plugin ? registry[h.plugin] : {}).mergekeys(h).mergekeys({name: h.plugin||h.tag});
+};
+
+module.exports = Plugins = function Plugins(context) {
+  this.site = context.site;
+  this.scribe = context.site.scribe;
+  this.stat = context.site.tag+'-plugins';  // request errors by plugin
+  this.list = [];
+};
+
+Plugins.registry = registry;
+Plugins.prefixes = prefixes;
+
+// add a named handler definition; throws on conflicts...
+Plugins.register = function register(name,definition) {
+  if (name in registry) throw `handler '${name}' already registered`;
+  let hx = ({tag: name.toLowerCase()}).mergekeys(definition);
+  if (hx.prefix!==undefined) {
+    if (typeof hx.prefix!='string' || hx.prefix.length!==1 || !PREFIXES.includes(hx.prefix))
+      throw `invalid route prefix '${hx.prefix}', expected one of: ${PREFIXES.split('').join(' ')}`;
+    if (hx.prefix in prefixes) throw `route prefix '${hx.prefix}' already claimed by '${prefixes[hx.prefix]}'`;
+    prefixes[hx.prefix] = name;
+    if (!hx.route) hx.route = prefixRoute(hx.prefix,hx.param);
+  };
+  return registry[name] = hx;
+};
+
+// register the configured (server level) plugins, merging module definitions with configured overrides...
+Plugins.configure = function configure(cfg={}) {
+  let problems = [];
+  for (let name in cfg) {
+    let spec = typeof cfg[name]=='string' ? {require: cfg[name]} : cfg[name];
+    try {
+      let def = load(spec);
+      let hx = {code: spec.require};
+      ['param','prefix','route','tag'].forEach(k=>{ if ((spec[k]||def[k])!==undefined) hx[k] = spec[k]||def[k]; });
+      Plugins.register(name,hx);
+    } catch (e) {
+      problems.push({path: `cfg.plugins.${name}`, msg: e.toString()});
+    };
+  };
+  return problems;
+};
+
+// handler option schemas for a configured handler, for configuration checks...
+Plugins.schemaOf = function schemaOf(h) {
+  try {
+    let hx = resolve(h);
+    return hx && (hx.code||hx.require) ? load(hx).schema : undefined;
+  } catch (e) {
+    return undefined;  // unresolvable modules reported by configuration checks
+  };
+};
+
+// load a handler and mount it on the site app, isolating its failures...
+Plugins.prototype.mount = function mount(h) {
+  let site = this.site;
+  let hx = resolve(h);
+  if (!hx) return this.scribe.error("Plugin %s unknown, not mounted!", JSON.stringify(h));
+  if (hx.tag=='static' && !hx.code && !hx.require) return site.xApp.use(hx.route||'/',express.static(hx.root)); // express.static
+  let plugin = {name: hx.name, hx: hx, def: {}, state: 'loading', errors: 0};
+  let middleware;
+  try {
+    plugin.def = load(hx);
+    let requires = plugin.def.requires || {};
+    let databases = (requires.databases||[]).concat(typeof hx.db=='string' ? [hx.db] : []);
+    let missing = databases.filter(d=>!(d in site.db)).map(d=>`database '${d}'`)
+      .concat((requires.services||[]).filter(s=>!site[s] && !site.server[s]).map(s=>`service '${s}'`));
+    if (missing.length) throw site.server.emsg(503,`Handler '${hx.name}' unavailable, missing: ${missing.join(', ')}`);
+    if (plugin.def.schema) {
+      let report = {errors: [], warnings: []};
+      LiteConfig.validate(hx,{type: 'object', keys: plugin.def.schema, open: true},hx.name,report);
+      if (report.errors.length) throw site.server.emsg(500,`Handler '${hx.name}' misconfigured: `+report.errors.map(e=>`${e.path}: ${e.msg}`).join('; '));
+    };
+    middleware = plugin.def.init.call(site,hx);
+    if (typeof middleware!='function') throw `Handler '${hx.name}' init returned no middleware`;
+    plugin.state = 'initialized';
+  } catch (e) {
+    let ex = e && e.error===true ? e : site.server.emsg(500,`Handler '${hx.name}' failed to load`);  // homebrew error or other
+    plugin.state = 'failed';
+    plugin.error = ex===e ? ex.msg : (e||'?').toString();
+    this.scribe.error("Plugin[%s] not loaded: %s", hx.name, plugin.error);
+    middleware = (rqst,rply,next) => next(ex);  // answers its route with the error
+  };
+  this.list.push(plugin);
+  let self = this;
+  site.xApp.use(hx.route||'/',function isolatedMiddleware(rqst,rply,next) {
+    const fail = (e) => {
+      plugin.errors++;
+      self.scribe.Stat.inc(self.stat,plugin.name);
+      self.scribe.error("Plugin[%s] request failed: %s", plugin.name, (e||'?').toString());
+      if (rply.headersSent) return rply.end();
+      next(e instanceof Object || Number.isInteger(e) ? e : 500);
+    };
+    try {
+      let result = middleware(rqst,rply,next);
+      if (result && typeof result.catch=='function') result.catch(fail);  // async middleware
+    } catch (e) {
+      fail(e);
+    };
+  });
+};
+
+// call a hook of each loaded plugin, isolating failures...
+Plugins.prototype.hook = function hook(name) {
+  return Promise.all(this.list.filter(p=>p.state!='failed' && typeof p.def[name]=='function').map(p=>
+    Promise.resolve().then(()=>p.def[name].call(this.site,p.hx))
+      .catch(e=>{ this.scribe.error("Plugin[%s] %s hook failed: %s", p.name, name, (e||'?').toString()); })));
+};
+
+// run ready hooks, once the site listens...
+Plugins.prototype.ready = function ready() {
+  this.list.forEach(p=>{ if (p.state=='initialized') p.state = 'ready'; });
+  return this.hook('ready');
+};
+
+// report the health of each plugin; a failed plugin, or a health report without ok, counts as unhealthy...
+Plugins.prototype.health = async function health() {
+  let plugins = {};
+  for (let p of this.list) {
+    let report = {ok: p.state!='failed'};
+    if (p.state=='failed') report.error = p.error;
+    else if (typeof p.def.health=='function') {
+      try { report = Object.assign({ok: true},await p.def.health.call(this.site,p.hx)); }
+      catch (e) { report = {ok: false, error: (e||'?').toString()}; };
+    };
+    plugins[p.name] = Object.assign({state: p.state, errors: p.errors},report);
+  };
+  return {ok: Object.values(plugins).every(r=>r.ok), plugins: plugins};
+};
+
+// run shutdown hooks...
+Plugins.prototype.shutdown = function shutdown() {
+  return this.hook('shutdown').then(()=>this.list.forEach(p=>{ if (p.state!='failed') p.state = 'stopped'; }));
+};
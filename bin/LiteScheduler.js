@@ -0,0 +1,273 @@
+/*
+LiteScheduler.js: job scheduler for periodic server and site tasks
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Runs built-in tasks and custom task modules on cron-style or interval schedules, replacing
+external cron scripts for database backups, transcript rolls, and certificate expiry reminders.
+Keeps a run history and the last error of each job, reported through LiteInfo (GET /!jobs).
+
+configuration (server level key 'scheduler'; sites may define a 'scheduler' key with jobs only)...
+  scheduler: {
+    history: 10,              // runs kept per job, default 10
+    tag: 'jobs',              // transcript tag
+    jobs: {
+      <name>: {
+        task: 'snapshot',     // built-in task name, or...
+        require: './MyTask',  // custom task module, resolved relative to the bin folder
+        cron: '0 3 * * *',    // schedule: minute hour day-of-month month day-of-week (or @hourly, @daily, ...), or...
+        every: '12h',         // interval: milliseconds, or number with unit s, m, h, or d
+        immediate: true,      // optionally, also run once at startup
+        options: {...}        // passed to the task
+      }
+    }
+  }
+
+built-in tasks...
+  snapshot:   copies databases to timestamped files; options: {databases: [...] (default all), folder: '../backups', keep: 7}
+  roll:       rolls the transcript file
+  stats:      resets numeric statistics counters; options: {tags: [...] (default all)}
+  certs:      warns and notifies (SMS) of proxy certificates expiring soon; options: {days: 14}
+
+custom task modules export a function(options, job), called with 'this' as the site (site jobs)
+or server context (server jobs), where job provides {name, owner, scribe, server, site};
+it may return a promise, and any result gets kept in the job history.
+
+SYNTAX:
+  const Scheduler = require('./LiteScheduler');
+  var scheduler = new Scheduler({cfg: cfg.scheduler, scribe: Scribe, server: server});
+  scheduler.load(jobs,owner,site);  // adds site jobs, named <owner>:<name>
+  scheduler.unload(owner);          // removes an owner's jobs
+  scheduler.report();               // job schedules, history, and last errors
+  scheduler.stop();                 // async, cancels timers and waits for running jobs
+*/
+
+require('./Extensions2JS');
+const fsp = require('fs').promises;
+const path = require('path');
+
+const MAX_WAIT = 0x7FFFFFFF;  // longest timer delay (~24.8 days)
+const CRON_ALIASES = {'@hourly': '0 * * * *', '@daily': '0 0 * * *', '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *', '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *'};
+const CRON_RANGES = [[0,59],[0,23],[1,31],[1,12],[0,7]];  // minute, hour, day-of-month, month, day-of-week (0 or 7 = Sunday)
+const UNITS = {ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000};
+
+// parse a cron expression into field value sets; throws on syntax errors...
+function parseCron(spec) {
+  let fields = (CRON_ALIASES[spec]||spec).trim().split(/\s+/);
+  if (fields.length!=5) throw `cron '${spec}' requires 5 fields`;
+  return fields.map((f,i)=>{
+    let [min,max] = CRON_RANGES[i];
+    let values = new Set();
+    for (let part of f.split(',')) {
+      let m = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw `cron '${spec}' invalid field '${f}'`;
+      let lo = m[1] ? min : Number(m[2]);
+      let hi = m[1] ? max : m[3]!==undefined ? Number(m[3]) : m[4] ? max : lo;
+      let step = Number(m[4]||1);
+      if (lo<min || hi>max || lo>hi || step<1) throw `cron '${spec}' field '${f}' out of range ${min}-${max}`;
+      for (let v=lo; v<=hi; v+=step) values.add(i==4 && v==7 ? 0 : v);
+    };
+    return {any: f.startsWith('*'), values: values};
+  });
+};
+
+// test a date against parsed cron fields; day-of-month and day-of-week match either when both restricted...
+function cronMatch(fields,dx) {
+  let [mi,hr,dom,mon,dow] = fields;
+  if (!mi.values.has(dx.getMinutes()) || !hr.values.has(dx.getHours()) || !mon.values.has(dx.getMonth()+1)) return false;
+  let d = dom.values.has(dx.getDate()), w = dow.values.has(dx.getDay());
+  return (dom.any || dow.any) ? d && w : d || w;
+};
+
+// next matching (whole) minute after a given time, or null if none within a year...
+function nextCron(fields,from=new Date()) {
+  let dx = new Date(from.valueOf());
+  dx.setSeconds(0,0);
+  for (let i=0; i<366*24*60; i++) {
+    dx.setMinutes(dx.getMinutes()+1);
+    if (cronMatch(fields,dx)) return dx;
+  };
+  return null;
+};
+
+// parse an interval, i.e. 30000, '30s', '10m', '12h', '1d', into milliseconds; throws on errors...
+function parseInterval(spec) {
+  let m = String(spec).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  let ms = m ? Number(m[1])*UNITS[m[2]||'ms'] : 0;
+  if (!ms) throw `invalid interval '${spec}'`;
+  return ms;
+};
+
+// built-in tasks...
+const TASKS = {
+  // copies databases to timestamped backup files, keeping only the most recent...
+  snapshot: async function snapshot(options, job) {
+    let dbs = (job.site || job.server).db || {};
+    let folder = resolvePath(options.folder||'../backups');
+    let keep = options.keep || 7;
+    let stamp = new Date().toISOString().replace(/[-:.]/g,'');
+    let saved = [];
+    await fsp.mkdir(folder,{recursive: true});
+    for (let name of asList(options.databases||Object.keys(dbs))) {
+      let db = dbs[name];
+      if (!db || !db.db) throw `database '${name}' not defined or not loaded`;
+      if (db.flush) await db.flush();  // include any pending changes
+      let prefix = (job.owner ? job.owner+'-' : '') + name + '-';
+      await fsp.writeFile(path.join(folder,prefix+stamp+'.json'),JSON.stringify(db.db));
+      saved.push(name);
+      let pattern = new RegExp('^'+prefix.replace(/[.*+?^${}()|[\]\\]/g,'\\$&')+'\\d{8}T\\d+Z\\.json$');
+      let old = (await fsp.readdir(folder)).filter(f=>pattern.test(f)).sort().reverse().slice(keep);
+      for (let f of old) await fsp.unlink(path.join(folder,f));
+    };
+    job.scribe.info("Job[%s]: database snapshot saved for %s", job.name, saved.join(', ')||'none');
+    return {saved: saved};
+  },
+  // rolls the transcript file...
+  roll: function roll(options, job) {
+    job.scribe.flush(`Transcript rolled by job ${job.name}`);
+  },
+  // resets numeric statistics counters...
+  stats: function stats(options, job) {
+    let Stat = job.scribe.Stat;
+    let count = 0;
+    for (let tag of options.tags ? asList(options.tags) : Stat.tags()) {
+      let s = Stat.get(tag);
+      if (verifyThat(s,'isTrueObject')) for (let k in s) if (typeof s[k]=='number') { s[k] = 0; count++; };
+    };
+    return {reset: count};
+  },
+  // warns and notifies of proxy certificates expiring within options.days...
+  certs: async function certs(options, job) {
+    let certs = job.scribe.Stat.get('proxy') || {};
+    let days = options.days || 14;
+    let expiring = [];
+    for (let c in certs) {
+      let left = (new Date(certs[c].expires).valueOf()-Date.now())/86400000;
+      if (left<days) expiring.push(`${c} ${left<0 ? 'EXPIRED' : 'expires in '+Math.floor(left)+' days'}`);
+    };
+    if (expiring.length) {
+      let text = `HomebrewLite certificate warning: ${expiring.join('; ')}`;
+      job.scribe.warn(text);
+      if (job.server.notify) await job.server.notify.sms({text: text});
+    };
+    return {checked: Object.keys(certs).length, expiring: expiring};
+  }
+};
+
+module.exports = Scheduler = function Scheduler(context) {
+  this.cfg = ({history: 10, tag: 'jobs'}).mergekeys(context.cfg);
+  this.tag = this.cfg.tag;
+  this.scribe = context.scribe(this.tag);
+  this.server = context.server;
+  this.jobs = {};
+  this.scribe.Stat.set(this.tag,undefined,{runs: 0, errors: 0, skipped: 0});
+  this.load(this.cfg.jobs);
+};
+
+Scheduler.TASKS = TASKS;
+Scheduler.parseCron = parseCron;
+Scheduler.parseInterval = parseInterval;
+
+// add a set of jobs for an owner (i.e. site name, or '' for server) and context...
+Scheduler.prototype.load = function load(jobs={},owner='',site) {
+  for (let j in jobs) {
+    let jcfg = jobs[j];
+    let name = owner ? `${owner}:${j}` : j;
+    if (jcfg.active===false) continue;
+    try {
+      let job = {name: name, owner: owner, options: jcfg.options||{}, history: [], runs: 0, errors: 0};
+      job.task = jcfg.require ? require(jcfg.require) : TASKS[jcfg.task];
+      if (typeof job.task!='function') throw `task '${jcfg.require||jcfg.task}' not found`;
+      if (jcfg.cron) {
+        job.cron = parseCron(jcfg.cron);
+        job.schedule = `cron ${jcfg.cron}`;
+      } else {
+        job.every = parseInterval(jcfg.every);
+        job.schedule = `every ${jcfg.every}`;
+      };
+      job.context = site || this.server;
+      job.info = {name: name, owner: owner, scribe: this.scribe, server: site ? site.server : this.server, site: site};
+      this.jobs[name] = job;
+      this.scribe.debug("Job[%s]: %s scheduled %s", name, jcfg.require||jcfg.task, job.schedule);
+      if (jcfg.immediate) { this.run(job).then(()=>this.schedule(job)); } else { this.schedule(job); };
+    } catch (e) {
+      this.scribe.error("Job[%s] not scheduled: %s", name, e.toString());
+    };
+  };
+};
+
+// remove all jobs of an owner...
+Scheduler.prototype.unload = function unload(owner) {
+  for (let j in this.jobs) if (this.jobs[j].owner===owner) {
+    clearTimeout(this.jobs[j].timer);
+    delete this.jobs[j];
+    this.scribe.debug("Job[%s]: removed", j);
+  };
+};
+
+// set the timer for a job's next run; long waits are split to stay within timer limits...
+Scheduler.prototype.schedule = function schedule(job) {
+  if (this.stopped || this.jobs[job.name]!==job) return;
+  job.next = job.next || (job.cron ? nextCron(job.cron) : new Date(Date.now()+job.every));
+  if (!job.next) return this.scribe.warn("Job[%s]: no run time within a year, not scheduled", job.name);
+  let wait = Math.max(0,job.next.valueOf()-Date.now());
+  job.timer = setTimeout(()=>{
+    if (job.next.valueOf()>Date.now()) return this.schedule(job);
+    job.next = null;
+    this.run(job).then(()=>this.schedule(job));
+  },Math.min(wait,MAX_WAIT));
+  job.timer.unref();  // jobs alone don't keep the server alive
+};
+
+// run a job once, recording its history; never throws...
+Scheduler.prototype.run = async function run(job) {
+  if (job.running) {
+    this.scribe.Stat.inc(this.tag,'skipped');
+    return this.scribe.warn("Job[%s]: previous run still in progress, skipped", job.name);
+  };
+  let t0 = new Date();
+  let entry = {start: t0.toISOString()};
+  job.running = Promise.resolve().then(()=>job.task.call(job.context,job.options,job.info));
+  try {
+    let result = await job.running;
+    entry.ok = true;
+    if (result!==undefined) entry.result = result;
+    job.runs++;
+    this.scribe.Stat.inc(this.tag,'runs');
+  } catch (e) {
+    entry.ok = false;
+    entry.error = e.toString();
+    job.errors++;
+    job.lastError = {at: entry.start, error: entry.error};
+    this.scribe.Stat.inc(this.tag,'errors');
+    this.scribe.error("Job[%s] failed: %s", job.name, entry.error);
+  };
+  entry.ms = new Date().valueOf()-t0.valueOf();
+  job.running = null;
+  job.history = [entry].concat(job.history).slice(0,this.cfg.history);
+  this.scribe.trace("Job[%s]: %s in %sms", job.name, entry.ok?'complete':'failed', entry.ms);
+  return entry;
+};
+
+// report of jobs, optionally for a specific owner...
+Scheduler.prototype.report = function report(owner) {
+  let jobs = {};
+  for (let j in this.jobs) {
+    let job = this.jobs[j];
+    if (owner!==undefined && job.owner!==owner) continue;
+    jobs[j] = {schedule: job.schedule, next: job.next ? job.next.toISOString() : null, running: !!job.running,
+      runs: job.runs, errors: job.errors, lastError: job.lastError||null, history: job.history};
+  };
+  return jobs;
+};
+
+// cancel all timers and wait for any running jobs to finish...
+Scheduler.prototype.stop = async function stop() {
+  this.stopped = true;
+  let running = [];
+  for (let j in this.jobs) {
+    clearTimeout(this.jobs[j].timer);
+    if (this.jobs[j].running) running.push(this.jobs[j].running.catch(e=>{}));
+  };
+  await Promise.all(running);
+};
@@ -45,12 +45,17 @@ var asStyle = (lvl='log', txt='') => { level[lvl].style.forEach(function(s) { tx
 
 // object for internal server statistics management...
 var stats = {};
+var relay = null; // optional function forwarding changes (op,args), i.e. cluster worker to primary
+var put = (tag,key,value) => {
+  stats[tag] = (tag in stats) ? stats[tag] : {};  // verify existance of tag object or create
+  if (key===undefined) { stats[tag] = value; return stats[tag]; };  // value may be an object
+  stats[tag][key] = value;
+  return stats[tag][key];
+};
 var Statistics = {
   set: (tag,key,value) => {
-    stats[tag] = (tag in stats) ? stats[tag] : {};  // verify existance of tag object or create
-    if (key===undefined) { stats[tag] = value; return stats[tag]; };  // value may be an object
-    stats[tag][key] = value;
-    return stats[tag][key];
+    if (relay) relay('set',[tag,key,value]);
+    return put(tag,key,value);
   },
   get: (tag,key) => {
     if (tag===undefined) return stats;
@@ -61,12 +66,16 @@ var Statistics = {
     return undefined;
   },  
   inc: (tag,key) => {
-    Statistics.set(tag,key,(Statistics.get(tag,key)) ? Statistics.get(tag,key)+1 : 1);
-    return Statistics.get(tag,key);
+    if (relay) relay('inc',[tag,key]);
+    return put(tag,key,(Statistics.get(tag,key)) ? Statistics.get(tag,key)+1 : 1);
   },
   tags: () => Object.keys(stats),
   keys: (tag) => Object.keys(stats[tag]),
-  clear: (tag,key) => key ? (stats[tag][key]=undefined) : (stats[tag]=undefined)
+  clear: (tag,key) => {
+    if (relay) relay('clear',[tag,key]);
+    return key ? (stats[tag][key]=undefined) : (stats[tag]=undefined);
+  },
+  relay: (fn) => { relay = fn; }
 };
 
 
@@ -0,0 +1,92 @@
+/*
+LiteShared.js: loader for configurable server level shared services
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Instantiates the service modules configured under the server level 'shared' key,
+so services (e.g. cache, notifier, queue) can be added without editing hbLite.js.
+Each service is injected by name into the server context passed to every site (context.server)
+and proxy, initialized by its configured 'init' hooks, and torn down at shutdown.
+
+configuration...
+  shared: {
+    <name>: {                 // reference name, i.e. context.server.<name>
+      require: './MyService', // module, resolved relative to the bin folder
+      options: {...},         // passed to the service constructor
+      init: {                 // optional init hooks, called in order after creation...
+        <method>: <args>      //   i.e. await service.<method>(<args>)
+      },
+      tag: '<tag>'            // optional transcript tag, default <name>
+    }
+  }
+
+service module contract...
+  constructor:  module exports a constructor (or factory) called as new Service(options, context)
+                where context provides {emsg, scribe, server, tag}; or module exports a ready object
+  shutdown():   optional method (or close()) called at server shutdown; may return a promise
+
+SYNTAX:
+  const Shared = require('./LiteShared');
+  var shared = new Shared({cfg: cfg.shared, emsg: emsg, reserved: [...], scribe: Scribe, server: server});
+  shared.inject(context);   // adds services to a context object, by reference
+  shared.init();            // async, runs init hooks
+  shared.shutdown();        // async, tears down services
+*/
+
+require('./Extensions2JS');
+
+module.exports = Shared = function Shared(context) {
+  this.cfg = context.cfg || {};
+  this.scribe = context.scribe('shared');
+  this.services = {};
+  for (let name in this.cfg) {
+    let scfg = this.cfg[name];
+    if ((context.reserved||[]).includes(name)) {
+      this.scribe.error("Shared service '%s' conflicts with a builtin server context key, ignored!", name);
+      continue;
+    };
+    try {
+      let Service = require(scfg.require);
+      let scontext = {emsg: context.emsg, scribe: context.scribe, server: context.server, tag: scfg.tag||name};
+      this.services[name] = typeof Service=='function' ? new Service(scfg.options||{},scontext) : Service;
+      this.scribe.info("Shared service '%s' created from %s", name, scfg.require);
+    } catch (e) {
+      this.scribe.fatal("Shared service '%s' creation failed: %s", name, e.toString());
+    };
+  };
+};
+
+// add services, by reference, to a context object...
+Shared.prototype.inject = function inject(context) {
+  for (let name in this.services) context[name] = this.services[name];
+  return context;
+};
+
+// run each service's configured init hooks...
+Shared.prototype.init = async function init() {
+  for (let name in this.services) {
+    for (let hook in (this.cfg[name].init||{})) {
+      try {
+        if (typeof this.services[name][hook]!='function') throw `no such method`;
+        await this.services[name][hook](this.cfg[name].init[hook]);
+        this.scribe.debug("Shared service '%s' init hook '%s' complete", name, hook);
+      } catch (e) {
+        this.scribe.error("Shared service '%s' init hook '%s' failed: %s", name, hook, e.toString());
+      };
+    };
+  };
+};
+
+// tear down services in reverse order of creation...
+Shared.prototype.shutdown = async function shutdown() {
+  for (let name of Object.keys(this.services).reverse()) {
+    let service = this.services[name];
+    let teardown = service.shutdown || service.close;
+    if (typeof teardown!='function') continue;
+    try {
+      await teardown.call(service);
+      this.scribe.debug("Shared service '%s' shutdown", name);
+    } catch (e) {
+      this.scribe.error("Shared service '%s' shutdown failed: %s", name, e.toString());
+    };
+  };
+};
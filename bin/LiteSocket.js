@@ -0,0 +1,174 @@
+/*
+LiteSocket.js - WebSocket channel handler for publishing messages to subscribed clients
+Copyright (c) 2020 Enchanted Engineering
+
+Accepts WebSocket connections (upgrades) on the handler route, i.e. '/ws' (the proxy requires options.ws: true),
+authenticated with the same credentials as other requests: an 'Authorization' header (Bearer JWT or Basic),
+or for browsers, which can't set headers, a JWT 'token' query parameter, i.e. wss://example.net/ws?token=<jwt>.
+Clients subscribe to configured channels and publish to them, subject to group authorization per channel.
+A GET request to the route lists the channels available to the user.
+
+configuration (handler definition)...
+  {
+    tag: 'socket',
+    code: './LiteSocket',
+    route: '/ws',
+    channels: {                                         // named channels, others refused
+      news: {subscribe: 'users', publish: 'admin'},     // groups allowed to subscribe or publish, any client if undefined
+      chat: {subscribe: 'users', publish: 'users'}
+    },
+    anonymous: false,     // accept unauthenticated clients, limited to channels without groups, default false
+    heartbeat: 30000,     // ms between pings; clients not answering get dropped, default 30000
+    maxPayload: 65536     // largest message accepted (bytes), default 64KB
+  }
+
+messages (JSON), client to server, with an optional 'id' echoed in the reply...
+  {action: 'subscribe', channel: 'news'}        => {event: 'subscribed', channel: 'news'}
+  {action: 'unsubscribe', channel: 'news'}      => {event: 'unsubscribed', channel: 'news'}
+  {action: 'publish', channel: 'chat', data: x} => {event: 'published', channel: 'chat', count: <subscribers>}
+  {action: 'ping'}                              => {event: 'pong'}
+server to client...
+  {event: 'welcome', user: <username>, channels: [...]}  on connection, channels the user may subscribe
+  {event: 'message', channel: 'chat', data: x, from: <username|'server'>, time: <ISO date>}
+  {event: 'error', code: <http_code>, msg: <error message>}
+
+Server side code (i.e. custom handlers, jobs, or LiteAction POST /@publish/<channel>) broadcasts to
+subscribers of a channel with site.publish(channel,data[,from]), which returns the count of recipients.
+Within a cluster, broadcasts reach the clients of the same process only.
+*/
+
+// load dependencies...
+require('./Extensions2JS');
+const url = require('url');
+const WebSocket = require('ws');
+
+exports = module.exports = LiteSocket = function LiteSocket(options) {
+  // this function called by express app to initialize middleware...
+  var site = this;          // local reference for context
+  var scribe = site.scribe; // local reference
+  var cfg = ({anonymous: false, heartbeat: 30000, maxPayload: 65536, channels: {}}).mergekeys(options);
+  var stat = site.tag+'-socket';
+  scribe.Stat.set(stat,undefined,{connections: 0, open: 0, messages: 0, published: 0, rejected: 0});
+  var wss = new WebSocket.Server({noServer: true, maxPayload: cfg.maxPayload});
+  var subscribers = cfg.channels.mapByKey(()=>new Set());  // clients by channel
+
+  // own channel names only, not inherited object properties (i.e. 'toString')...
+  const known = (channel) => typeof channel=='string' && Object.prototype.hasOwnProperty.call(cfg.channels,channel);
+  // true if a client (auth) may subscribe or publish to a channel...
+  const permit = (auth,channel,op) => known(channel) &&
+    (cfg.channels[channel][op]===undefined ? (auth.authenticated || cfg.anonymous) : auth.authorize(cfg.channels[channel][op]));
+  const send = (ws,msg) => { if (ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify(msg)); };
+
+  // deliver a message to a channel's subscribers; returns the count of recipients...
+  function publish(channel,data,from='server') {
+    if (!known(channel)) return 0;
+    let msg = {event: 'message', channel: channel, data: data, from: from, time: new Date().toISOString()};
+    subscribers[channel].forEach(ws=>send(ws,msg));
+    scribe.Stat.inc(stat,'published');
+    scribe.trace("SOCKET[%s]: %s published to %s (%s subscribers)", site.tag, from, channel, subscribers[channel].size);
+    return subscribers[channel].size;
+  };
+
+  // handle a client message...
+  function message(ws,text) {
+    scribe.Stat.inc(stat,'messages');
+    let msg;
+    try { msg = JSON.parse(text); } catch (e) { return send(ws,Object.assign({event: 'error'},site.server.emsg(400,'Invalid JSON message'))); };
+    let reply = (r) => send(ws,Object.assign(r,msg.id!==undefined ? {id: msg.id} : {}));
+    let refuse = (code,m) => reply(Object.assign({event: 'error'},site.server.emsg(code,m)));
+    let channel = msg.channel;
+    switch (msg.action) {
+      case 'subscribe':
+        if (!permit(ws.auth,channel,'subscribe')) return refuse(401,`Not authorized to subscribe to channel: ${channel}`);
+        subscribers[channel].add(ws);
+        ws.channels.add(channel);
+        return reply({event: 'subscribed', channel: channel});
+      case 'unsubscribe':
+        if (known(channel)) subscribers[channel].delete(ws);
+        ws.channels.delete(channel);
+        return reply({event: 'unsubscribed', channel: channel});
+      case 'publish':
+        if (!permit(ws.auth,channel,'publish')) return refuse(401,`Not authorized to publish to channel: ${channel}`);
+        return reply({event: 'published', channel: channel, count: publish(channel,msg.data,ws.auth.username||'anonymous')});
+      case 'ping':
+        return reply({event: 'pong'});
+      default:
+        return refuse(400,`Unknown action: ${msg.action}`);
+    };
+  };
+
+  // authenticate and accept an upgrade request...
+  function upgrade(rqst,socket,head) {
+    let ip = (rqst.headers['x-forwarded-for']||'').split(',')[0].trim() || socket.remoteAddress;
+    let token = url.parse(rqst.url,true).query.token;
+    rqst.url = redactURL(rqst.url);  // keeps the JWT out of anything logging the request
+    let header = rqst.headers.authorization || (token ? 'Bearer '+token : undefined);
+    let reject = (code,error) => {
+      scribe.Stat.inc(stat,'rejected');
+      scribe.Stat.inc(site.tag+'-blacklist-'+code,ip);
+      scribe.warn("SOCKET[%s]: connection from %s rejected: %s", site.tag, ip, error);
+      socket.end(`HTTP/1.1 ${code} ${error}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n`+JSON.stringify(site.server.emsg(code,error)));
+    };
+    let authenticated = site.auth ? site.auth.authenticate(header,(u)=>site.db.users.query('userByUsername',{username: u},true)) :
+      Promise.resolve({authenticated: false, error: header ? 'Authentication not supported by insecure site' : null, authorize: ()=>false});
+    authenticated
+      .then(auth=>{
+        if (auth.error) return reject(401,auth.error);
+        if (!auth.authenticated && !cfg.anonymous) return reject(401,'Authentication required');
+        wss.handleUpgrade(rqst,socket,head,ws=>{
+          ws.auth = auth;
+          ws.channels = new Set();
+          ws.alive = true;
+          scribe.Stat.inc(stat,'connections');
+          scribe.Stat.set(stat,'open',wss.clients.size);
+          scribe.debug("SOCKET[%s]: %s connected from %s", site.tag, auth.username||'anonymous', ip);
+          ws.on('pong',()=>{ ws.alive = true; });
+          ws.on('message',data=>{
+            try { message(ws,data.toString()); }
+            catch (e) {  // a bad frame must never take down the server
+              scribe.error("SOCKET[%s]: message from %s failed: %s", site.tag, auth.username||'anonymous', e.toString());
+              send(ws,Object.assign({event: 'error'},site.server.emsg(500,'Message failed')));
+            };
+          });
+          ws.on('close',()=>{
+            ws.channels.forEach(c=>subscribers[c].delete(ws));
+            scribe.Stat.set(stat,'open',wss.clients.size);
+            scribe.debug("SOCKET[%s]: %s disconnected", site.tag, auth.username||'anonymous');
+          });
+          ws.on('error',e=>scribe.warn("SOCKET[%s]: %s", site.tag, e.toString()));
+          send(ws,{event: 'welcome', user: auth.username||'', channels: Object.keys(cfg.channels).filter(c=>permit(auth,c,'subscribe'))});
+        });
+      })
+      .catch(e=>{ scribe.error("SOCKET[%s]: upgrade failed: %s", site.tag, e.toString()); socket.destroy(); });
+  };
+
+  // drop clients not answering the last ping...
+  let heartbeat = setInterval(()=>wss.clients.forEach(ws=>{
+    if (!ws.alive) return ws.terminate();
+    ws.alive = false;
+    ws.ping();
+  }),cfg.heartbeat);
+  heartbeat.unref();
+
+  // register with the site for upgrades, publishing, and shutdown...
+  site.sockets = (site.sockets||[]).concat({
+    route: cfg.route,
+    channels: cfg.channels,
+    permit: permit,
+    publish: publish,
+    upgrade: upgrade,
+    close: () => {
+      clearInterval(heartbeat);
+      wss.clients.forEach(ws=>ws.close(1001,'Server shutting down'));
+    }
+  });
+  scribe.info("Middleware '%s' initialized with route: %s, channels: %s", options.code, options.route, Object.keys(cfg.channels).join(', '));
+
+  // this function called by express app for each (non-upgrade) request, listing channels available...
+  return function socketMiddleware(rqst, rply, next) {
+    if (rqst.method!=='GET') return next(501);
+    let auth = Object.assign({authenticated: false},rqst.hb.auth);
+    rply.json(Object.keys(cfg.channels).filter(c=>permit(auth,c,'subscribe'))
+      .map(c=>({channel: c, subscribers: subscribers[c].size, publish: permit(auth,c,'publish')})));
+  };
+};
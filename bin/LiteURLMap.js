@@ -0,0 +1,134 @@
+/*
+LiteURLMap.js: rule based URL redirect and rewrite engine for sites
+(c)2020 Enchanted Engineering, Tijeras NM.
+
+Evaluates an ordered list of rules against each request. A rule applies when all of its conditions match;
+it then either redirects the client (external) or rewrites the request URL (internal) for the middleware
+that follows. Redirects end evaluation; rewrites continue with the next rule, on the rewritten URL,
+unless flagged 'last'.
+
+conditions (all optional)...
+  path:   pattern for the URL path (without query)
+  host:   pattern for the request hostname
+  method: method or list of methods, i.e. ['GET','HEAD']
+  query:  {<param>: <pattern> | true}, each parameter required, matching the pattern if given
+patterns...
+  glob:   '/blog/*.html' or '/docs/**', where '*' matches within a path segment (or host label) and '**' across them;
+          each wildcard captures, as $1, $2, ...; without wildcards the match is exact
+  regex:  '~^/blog/(\\d+)$' (case sensitive) or '~*^/Blog/' (case insensitive), or a RegExp in JS configurations;
+          captures as $1, $2, ..., and named groups as $<name>
+actions...
+  to:       substitution for the new URL (path, or absolute URL for redirects), using $0 (path) and captures;
+            the original query string gets appended, unless 'to' ends with '?'
+  replace:  substitute only the part of the path matched by a regex 'path', as String.replace
+  redirect: true (302), or status 301, 302, 307, or 308; otherwise an internal rewrite
+  last:     stop evaluating rules after this rewrite
+  name:     label reported by dry runs
+
+configuration (site level key 'urlRules', plus legacy 'redirect' and 'rewrite' keys, also under 'map', evaluated first)...
+  urlRules: [
+    {name: 'blog', path: '/blog/*', to: '/posts/$1', redirect: 301},
+    {path: '~^/api/v1/(.*)$', to: '/api/v2/$1', last: true},
+    {host: 'old.example.net', path: '/**', to: 'https://example.net/$1', redirect: 308},
+    {path: '/search', query: {q: true}, method: 'GET', to: '/$find?'}
+  ]
+  redirect: {'/old.html': '/new.html'}            // legacy, exact path redirects (302)
+  rewrite: {name: ['^/x/', '/y/', true]}          // legacy, [regex, substitution, last] rewrites
+
+SYNTAX:
+  const URLMap = require('./LiteURLMap');
+  var map = new URLMap({cfg: siteCfg, scribe: Scribe, tag: tag});  // from urlRules, redirect, and rewrite keys
+  let {result, trace} = map.apply({url: '/blog/12?x=1', host: 'example.net', method: 'GET'});
+    // result: {action: 'redirect', code: 301, location} | {action: 'rewrite', url} | {action: 'none', url}
+  URLMap.compile(rule);   // compiled rule, throws on invalid rules (i.e. configuration checks)
+*/
+
+require('./Extensions2JS');
+
+const CODES = [301,302,307,308];
+
+// compile a pattern (glob, '~' regex string, or RegExp) into a regular expression; sep delimits glob segments...
+function pattern(spec,sep='/') {
+  if (spec instanceof RegExp) return spec;
+  spec = String(spec);
+  if (spec.startsWith('~*')) return new RegExp(spec.slice(2),'i');
+  if (spec.startsWith('~')) return new RegExp(spec.slice(1));
+  const escape = (txt) => txt.replace(/[.*+?^${}()|[\]\\]/g,'\\$&');
+  let any = '[^'+escape(sep)+']*';
+  return new RegExp('^'+spec.split('**').map(part=>part.split('*').map(escape).join(`(${any})`)).join('(.*)')+'$');
+};
+
+// compile a rule, validating it...
+function compile(rule) {
+  if (!verifyThat(rule,'isTrueObject')) throw 'rule must be an object';
+  if (typeof rule.to!='string') throw "rule requires a 'to' substitution";
+  if (rule.redirect!==undefined && rule.redirect!==true && rule.redirect!==false && !CODES.includes(rule.redirect))
+    throw `invalid redirect '${rule.redirect}', expected true or one of: ${CODES.join(', ')}`;
+  let query = rule.query || {};
+  return {
+    rule: rule,
+    name: rule.name,
+    path: rule.path!==undefined ? pattern(rule.path) : null,
+    host: rule.host!==undefined ? pattern(typeof rule.host=='string' && !rule.host.startsWith('~') ? rule.host.toLowerCase() : rule.host,'.') : null,
+    method: rule.method ? asList(rule.method).map(m=>m.toUpperCase()) : null,
+    query: Object.keys(query).map(k=>({param: k, regex: query[k]===true ? null : pattern(query[k],'&')})),
+    to: rule.to,
+    replace: !!rule.replace && rule.path!==undefined,
+    code: rule.redirect===true ? 302 : rule.redirect || null,
+    last: !!rule.last
+  };
+};
+
+// substitute $0, $1..., and $<name> references...
+function substitute(to,path,captures,groups) {
+  return to.replace(/\$(?:<(\w+)>|(\d+))/g,(m,name,n)=>name ? (groups[name]||'') : n==='0' ? path : (captures[parseInt(n)-1]||''));
+};
+
+module.exports = URLMap = function URLMap(context) {
+  this.tag = context.tag;
+  this.scribe = context.scribe(context.tag);
+  let cfg = context.cfg || {};
+  let redirect = Object.assign({},(cfg.map||{}).redirect,cfg.redirect);
+  let rewrite = [(cfg.map||{}).rewrite,cfg.rewrite].map(rw=>Object.entries(rw||{})).flat();
+  let legacy = Object.keys(redirect).map(p=>({name: `redirect:${p}`, path: p, to: redirect[p], redirect: true}))
+    .concat(rewrite.map(([k,[p,to,last]])=>({name: `rewrite:${k}`, path: p instanceof RegExp ? p : '~'+p, to: to, last: last, replace: true})));
+  this.rules = [];
+  legacy.concat(cfg.urlRules||[]).forEach((r,i)=>{
+    try { this.rules.push(Object.assign(compile(r),{index: i})); }
+    catch (e) { this.scribe.error("URLMap[%s] rule %s invalid, ignored: %s", this.tag, r.name||i, e.toString()); };
+  });
+};
+
+URLMap.compile = compile;
+
+// evaluate the rules for a request {url, host, method}; returns the result and the trace of rules applied...
+URLMap.prototype.apply = function apply(rqst) {
+  let url = rqst.url || '/';
+  let host = (rqst.host||'').split(':')[0].toLowerCase();
+  let method = (rqst.method||'GET').toUpperCase();
+  let trace = [];
+  for (let r of this.rules) {
+    let q = url.indexOf('?');  // the query may hold more literal '?'
+    let [path, search] = q<0 ? [url,''] : [url.slice(0,q),url.slice(q+1)];
+    let params = new URLSearchParams(search);
+    if (r.method && !r.method.includes(method)) continue;
+    let captures = [], groups = {};
+    let test = (regex,value) => {
+      let m = regex.exec(value);
+      if (!m) return false;
+      captures.push(...m.slice(1));
+      Object.assign(groups,m.groups||{});
+      return true;
+    };
+    if (r.path && !test(r.path,path)) continue;
+    if (r.host && !test(r.host,host)) continue;
+    if (!r.query.every(q=>params.has(q.param) && (!q.regex || test(q.regex,params.get(q.param))))) continue;
+    let to = r.replace ? path.replace(r.path,r.to) : substitute(r.to,path,captures,groups);
+    let target = to.endsWith('?') ? to.slice(0,-1) : search ? to+(to.includes('?') ? '&' : '?')+search : to;
+    trace.push({rule: r.index, name: r.name, from: url, to: target, action: r.code ? 'redirect' : 'rewrite'});
+    if (r.code) return {result: {action: 'redirect', code: r.code, location: target}, trace: trace};
+    url = target;
+    if (r.last) break;
+  };
+  return {result: trace.length ? {action: 'rewrite', url: url} : {action: 'none', url: url}, trace: trace};
+};
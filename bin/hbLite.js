@@ -26,11 +26,18 @@ This hbLite Script ...
   3. Configures and starts reverse proxies to redirect requests to respective sites
 
 SYNTAX:
-  node hbLite.js [<configuration_file>]
+  node hbLite.js [--check] [<configuration_file>]
   NODE_ENV=production node hbLite.js [<configuration_file>]
   NODE_ENV=production forever node hbLite.js [<configuration_file>]
   
   where <configuration_file> defaults to ../restricted/config[.js or .json]
+  and --check only validates the configuration, reporting any problems, without starting any listeners
+
+  A SIGHUP signal (or POST /@reconfig action) reloads the configuration file without a restart,
+  only affecting added, removed, or changed sites (see reload function below).
+
+  In cluster mode (configuration key 'cluster'), this script also runs as each worker process,
+  starting only the sites assigned to that worker; the primary runs proxies and all else.
 */
 
 // load external modules...
@@ -38,13 +45,20 @@ require('./Extensions2JS');                 // personal library of additions to
 const os = require('os');                   // operating system module
 const fs = require('fs');                   // file system module
 const p = require('process');               // system process interface
+const cluster = require('cluster');         // worker processes support
 const LiteScribe = require('./LiteScribe'); // Activity and stats transcripting
 const Cleanup = require('./Cleanup');       // Graceful shutdown support
+const LiteConfig = require('./LiteConfig'); // Configuration validation
+const Command = require('./LiteCommand');   // Local command/control server
+const Blocklist = require('./LiteBlocklist'); // Enforced IP blocklist
+const Shared = require('./LiteShared');     // Shared services loader
+const Scheduler = require('./LiteScheduler'); // Periodic server and site jobs
+const Cluster = require('./LiteCluster');   // Cluster mode support
 const LiteApp = require('./hbLiteApp');     // Baseline general purpose lightweight application
+const Plugins = require('./LitePlugins');   // Handler plugin registry
 const Proxy = require('./hbLiteProxy');     // Reverse proxy wrapper
 var jxjDB = require('./jxjDB');             // JSON database with Extensible JSON support
-const twilio = require('twilio');           // Twilio SMS API
-var email = require('emailjs');             // email server
+const Notify = require('./LiteNotify');     // Text and mail notifications
 
 // unified error message formating
 const errs = {
@@ -52,62 +66,63 @@ const errs = {
   401: "NOT authorized!",
   403: "Forbidden",
   404: "File NOT found!",
+  429: "Too many requests, please try again later",
   500: "Internal Server Error",
   501: "Not supported"
 };
 var emsg = (c,m)=>({error: true, code: Number(c), msg: m||errs[Number(c)]||'UNKNOWN ERROR'});
 
 // read the server configuration from (cmdline specified or default) JS or JSON file ...
-let cfg = require(process.argv[2] || '../restricted/config');
+let args = process.argv.slice(2);
+let checkOnly = args.includes('--check');
+let cfgFile = args.filter(a=>!a.startsWith('--'))[0] || '../restricted/config';
+let cfg;
+try {
+  cfg = require(cfgFile);
+} catch (e) {
+  console.error(`Configuration file '${cfgFile}' failed to load: ${e.toString()}`);
+  process.exit(1);
+};
+// register any configured handler plugins, so sites may reference them by name, then validate the
+// configuration before anything starts; inactive blocks pruned...
+let problems = Plugins.configure((cfg||{}).plugins);
+let report = LiteConfig.check(cfg,{handlers: Object.keys(LiteApp.HANDLERS), schemaOf: Plugins.schemaOf});
+report.errors.push(...problems);
+if (checkOnly || report.errors.length) {
+  console.log(LiteConfig.format(report));
+  process.exit(report.errors.length ? 1 : 0);
+};
 cfg.$VERSION = cfg.$VERSION || fs.statSync(__filename).mtime.toLocaleString(); // default to filestamp as version identifier
 cfg.$HOST = cfg.$HOST || os.hostname(); // identifier for messages
 
+// cluster mode: sites assigned to workers; workerName undefined for the primary (or non-cluster) process...
+const assigned = Cluster.assignments(cfg.cluster);
+const workerName = cluster.isWorker ? process.env.HBLITE_WORKER : undefined;
+if (workerName) { // workers keep their own transcript, i.e. ../logs/hblite-<worker>.log
+  let scfg = typeof cfg.scribe=='string' ? {tag: cfg.scribe} : cfg.scribe;
+  let file = (scfg.transcript||{}).file || `../logs/${scfg.tag}.log`;
+  cfg.scribe = ({}).mergekeys(scfg).mergekeys({transcript: {file: file.replace(/(\.\w+)?$/,`-${workerName}$1`)}});
+};
+
 // start transcripting...
 const Scribe = LiteScribe(cfg.scribe);  // Scribe object passed to other site apps in "context"
 const scribe = Scribe();  // server level reference
-scribe.info("HomebrewLite[%s] server setup in %s mode...", cfg.$VERSION, process.env.NODE_ENV||'development');
+scribe.info("HomebrewLite[%s] %s setup in %s mode...", cfg.$VERSION, workerName?`worker ${workerName}`:'server', process.env.NODE_ENV||'development');
+report.warnings.forEach(w=>scribe.warn("CONFIG: %s: %s",w.path,w.msg));
+report.notes.forEach(n=>scribe.debug("CONFIG: %s: %s",n.path,n.msg));
 // dump the configuration for verbose debugging...
 if (cfg.$DUMP) scribe[cfg.$DUMP]("CONFIG: %s", JSON.stringify(cfg,null,2));
 
-//ensure clean exit on Ctrl-C...; pass cleanup callback
-Cleanup(()=>{scribe.flush('Transcript closed')}); // adds process event handlers
+//ensure clean exit on Ctrl-C and SIGTERM...; pass final cleanup callback, shutdown steps registered below
+let cleanup = Cleanup(()=>scribe.flush('Transcript closed'),{log: scribe.info.bind(scribe), timeout: (cfg.shutdown||{}).timeout}); // adds process event handlers
 
 // define global (server level) context provided to each app; local app specific configuration overrides...
-// sms twilio wrapper assumes msg provides valid 'numbers' (array or comma delimited string, or use defaults) and a 'body/text' 
-async function sms(msg) {
-    if (!cfg.$twilio) throw 501;
-    try {
-      let numbers = msg.numbers || cfg.$twilio.admin;
-      if (typeof numbers=='string') numbers = numbers.split(',');
-      const client = new twilio(cfg.$twilio.accountSID,cfg.$twilio.authToken);
-      const cb = msg.callback || cfg.$twilio.callback || null;
-      let queue = await Promise.all(numbers.map(n=>
-        client.messages.create({to: n, from: cfg.$twilio.number, body: msg.body||msg.text, statusCallback:cb})
-          .then(m =>{ m.transcript = `Text message queued to: ${n}`; scribe.debug(m.transcript); return m; })
-          .catch(e=>{ throw e }) ));
-      let transcript = queue.map(q=>q.transcript);
-      return {report: {summary: `Text message queued for ${numbers.length} ${numbers.length==1?'number':'numbers'}`, transcript: transcript}, queue: queue};
-    } catch (ee) { throw ee };
-  };
+// notification service for text messages and mail, legacy $twilio and $email keys define default transports...
+const notify = new Notify({cfg: cfg.notify, email: cfg.$email, scribe: Scribe, twilio: cfg.$twilio});
 
-// mail client wrapper...
-async function mail(msg) {
-  if (!cfg.$email) throw 501;
-  msg.id = msg.id || cfg.$email.name || ''; // format optional header with id and/or time and other defaults
-  msg.timestamp = msg.time ? '['+new Date().toISOString()+']' : '';
-  msg.body = (msg.hdr || ((msg.id||msg.timestamp) ? msg.id+msg.timestamp+':\n' : '')) + msg.body;
-  if (!(msg.to+msg.cc+msg.bcc)) msg.to = cfg.$email.defaults.to;
-  msg.from = msg.from || cfg.$email.defaults.from;
-  // resolve remaining msg parts
-  msg.subject = msg.subject || cfg.$email.defaults.subject;
-  msg.text = msg.body || cfg.$email.defaults.text;
-  return new Promise((resolve,reject)=>{
-    try {
-      let server = email.server.connect(cfg.$email.smtp);  // connect to server and send the message...
-      server.send(msg,(e,rpt)=>{ if (e) { reject(e) } else { resolve({report:rpt,msg:msg}); }; });
-    } catch(e) { reject(e); }; // report failure
-  });
-};
+// enforced IP blocklist, applied by the proxies of the primary...
+const blocklist = (cfg.blocklist && !workerName) ? new Blocklist({cfg: cfg.blocklist, scribe: Scribe,
+  ignore: [].concat(...Object.values(cfg.proxies).map(p=>(p.report||{}).ignore||[]))}) : null;
 
 // load server level databases...
 let db = {};
@@ -119,67 +134,282 @@ for (let d in cfg.databases) { // add any global (server) databases...
     .catch(e=>{scribe.fatal(`Server '${d}' database load error!`,e)});
 };
 
+// cluster workers relay stats and server database changes to the primary...
+let link = workerName ? Cluster.join({cleanup: cleanup, db: db, scribe: Scribe}) : null;
+
 // default headers; configured {"x-powered-by" header overrides builtin...
 let headers = {"x-powered-by": "Raspberry Pi HomebrewLite NodeJS Server "+cfg.VERSION}.mergekeys(cfg.headers)
 
 // configured server context passed to sites...
 let server = {
+  blocklist: blocklist, // enforced IP blocklist, primary only
+  cleanup: cleanup, // shutdown hook registration, i.e. cleanup.register(name,fn,phase)
   db: db,           // database(s)
   emsg: emsg,       // standard error message object formatting used by proxies and sites
   headers: headers, // default headers
-  mail: mail,       // email client
+  mail: notify.mail, // email client
+  notify: notify,   // notification service
+  reload: ()=>link ? link.request('reload') : reload(), // configuration hot reload, by the primary
+  scheduler: null,  // job scheduler, defined after sites and proxies start
   scribe: Scribe,   // scribe instance for proxies and sites
-  sms: sms          // Twilio service client
+  sms: notify.sms   // text messaging client
 };
 
+// load any configured shared services and inject them (by reference) into the server context...
+let shared = new Shared({cfg: cfg.shared, emsg: emsg, reserved: Object.keys(server), scribe: Scribe, server: server});
+shared.inject(server);
+shared.init()
+  .then(()=>scribe.debug("Shared services initialized: %s", Object.keys(shared.services).join(', ')||'none'))
+  .catch(e=>scribe.error("Shared services initialization failed: %s", e.toString()));
+cleanup.register('shared services',()=>shared.shutdown(),'services');
+if (blocklist) cleanup.register('blocklist',()=>blocklist.stop(),'services');
+
 
 // filter any sites listed as served by proxy from cfg that lack a site specific configuration
 cfg.proxies.mapByKey((v,k,o)=>o[k].sites=v.sites.filter(s=>cfg.sites[s]));
 
+// which proxy serves each site of a configuration...
+const servedBy = (c) => Object.keys(c.proxies).reduce((x,p)=>{c.proxies[p].sites.forEach(s=>x[s]=p); return x;},{});
+
+// prep a site configuration and start its app, unless only proxied...
+let sites = {};
+function startSite(s,p) {
+  function proxy() { return proxies[p] || (link && {tag: p, loadSecrets: ()=>link.request('renew',p)}); }; // serving proxy callback, since may not yet be defined
+  let scfg = cfg.sites[s];  // site configuration shorthand reference
+  if (assigned[s]!==workerName) { // runs in another process
+    if (!workerName) scribe.info("Site[%s]: runs in worker %s",scfg.tag||s,assigned[s]);
+    return;
+  };
+  scfg.tag = scfg.tag || s; // force site configuration key as a default tag (i.e. transcript reference)
+  let context = { cfg: scfg, proxy: proxy, secure: !!cfg.proxies[p].secure, server: server, tag: scfg.tag };
+  scribe.debug(`Creating ${context.secure?'':'in'}secure site ${s} ...`);
+  if (scfg.app===false) { // external backend, only proxied
+    scribe.info("Site[%s]: external backend at %s:%s",scfg.tag,scfg.host,scfg.port);
+    return;
+  };
+  let App = scfg.app ? require(scfg.app.require || scfg.app) : LiteApp; // default LiteApp with cfg override
+  sites[s] = new App(context); // start app with context scope
+  if (server.scheduler && scfg.scheduler) server.scheduler.load(scfg.scheduler.jobs,s,sites[s]);
+  scribe.info("Site[%s]: initialized, hosting %s:%s",scfg.tag,scfg.host,scfg.port);
+};
+
+// stop a running site app; resolves once its listener closes...
+async function stopSite(s) {
+  if (!(s in sites)) return;
+  let site = sites[s];
+  delete sites[s];
+  if (server.scheduler) server.scheduler.unload(s);
+  if (typeof site.stop=='function') await site.stop();
+  scribe.info("Site[%s]: stopped",s);
+};
+
+// builds the routes for a proxy from any configured routes plus its served (and enabled) sites and aliases...
+let disabled = {};  // sites disabled at runtime, i.e. by command server
+function proxyRoutes(pcfg,siteCfgs) {
+  let routes = ({}).mergekeys(pcfg.routes||{});  // copy, so configured routes stay intact
+  for (let s of pcfg.sites) {
+    if ((s in siteCfgs) && !(s in disabled)) {
+      let [, protocol, host] = siteCfgs[s].host.match(/^(?:(https?:)\/\/)?(.*)$/); // i.e. external backend 'http://192.168.0.9'
+      let route = {host: host, port: siteCfgs[s].port||80, site: s};
+      if (protocol) route.protocol = protocol;
+      if (siteCfgs[s].health) route.health = siteCfgs[s].health;
+      if (siteCfgs[s].upstream) route.upstream = siteCfgs[s].upstream;
+      routes[s] = route;
+      for (let alias of (siteCfgs[s].aliases||[])) { // add site alias routes
+        routes[alias] = route;
+        scribe.debug("Proxy[%s] route added: %s --> %s:%s",pcfg.tag,alias,route.host,route.port);
+      };
+    };
+  };
+  return routes;
+};
+
+// rebuild the routes of all running proxies in place...
+function updateRoutes() {
+  for (let p in proxies) proxies[p].setRoutes(proxyRoutes(cfg.proxies[p],cfg.sites));
+};
+
 // backends need to start before proxies...
 // prep each site configuration and start app for each proxied site that's defined...
 scribe.info("HomebrewLite site setups...");
-let sites = {};
 for (let p in cfg.proxies) {
-  function proxy() { return proxies[p]; }; // serving proxy callback, since not yet defined
-  for (let s of cfg.proxies[p].sites) {
-    let scfg = cfg.sites[s];  // site configuration shorthand reference
-    scfg.tag = scfg.tag || s; // force site configuration key as a default tag (i.e. transcript reference)
-    let context = { cfg: scfg, proxy: proxy, secure: !!cfg.proxies[p].secure, server: server, tag: scfg.tag };
-    scribe.debug(`Creating ${context.secure?'':'in'}secure site ${s} ...`);
-    let App = scfg.app ? require(scfg.app) : LiteApp; // default LiteApp with cfg override
-    sites[s] = new App(context); // start app with context scope
-    scribe.info("Site[%s]: initialized, hosting %s:%s",scfg.tag,scfg.host,scfg.port);
-    };
-  };  
+  for (let s of cfg.proxies[p].sites) startSite(s,p);
+};
 
-// define and start reverse proxy servers...
-scribe.info("HomebrewLite proxy setup...");
+// define and start reverse proxy servers, by the primary only...
 let proxies = {};
-for (let p in cfg.proxies) {
-  let pcfg = cfg.proxies[p];  // shorthand reference
-  pcfg.tag = pcfg.tag || p;   // default tag to index value.
-  scribe.debug("Creating proxy[%s] context...",pcfg.tag);
-  pcfg.routes = pcfg.routes || {};  // default routes
-  // auto define site specific routes...
-  for (let s of pcfg.sites) {
-    if (s in cfg.sites) {
-      let route = {host: cfg.sites[s].host, port: cfg.sites[s].port||80};
-      pcfg.routes[s] = route;
-      for (let alias of (cfg.sites[s].aliases||[])) { // add site alias routes
-        pcfg.routes[alias] = route;
-        scribe.debug("Proxy[%s] route added: %s --> %s:%s",p,alias,route.host,route.port);
+if (!workerName) {
+  scribe.info("HomebrewLite proxy setup...");
+  for (let p in cfg.proxies) {
+    let pcfg = cfg.proxies[p];  // shorthand reference
+    pcfg.tag = pcfg.tag || p;   // default tag to index value.
+    scribe.debug("Creating proxy[%s] context...",pcfg.tag);
+    let pcontext = Object.assign({},server,{cfg: ({}).mergekeys(pcfg), tag: pcfg.tag}); // server context by reference
+    pcontext.cfg.routes = proxyRoutes(pcfg,cfg.sites);
+    proxies[p] = new Proxy(pcontext);
+    scribe.info("%sProxy[%s]: initialized on port %s",(pcfg.secure)?'SECURE ':'',pcfg.tag,pcfg.port); 
+  };
+};
+
+// cluster mode: the primary forks a worker for each group of assigned sites...
+let supervisor;
+if (cfg.cluster && !workerName) {
+  supervisor = new Cluster({cfg: cfg.cluster, db: db, scribe: Scribe, requests: {
+    reload: () => reload(),
+    renew: (p) => { if (!proxies[p]) throw `No such proxy: ${p}`; return proxies[p].loadSecrets(); }
+  }});
+  supervisor.start();
+  cleanup.register('workers',()=>supervisor.stop(),'connections');
+};
+
+// ordered shutdown: stop accepting connections (finishing in-flight requests), stop sites, then save pending database changes...
+cleanup.register('proxies',()=>Promise.all(Object.keys(proxies).map(p=>proxies[p].stop())),'connections');
+cleanup.register('sites',()=>Promise.all(Object.keys(sites).map(s=>stopSite(s))),'sites');
+cleanup.register('databases',()=>jxjDB.flushAll().then(saved=>scribe.debug("Saved pending changes: %s", saved.join(', ')||'none')),'databases');
+
+// hot reload of configuration: re-reads the configuration file, diffs it against the running state,
+// starts added sites, stops removed ones, restarts changed ones, and updates proxy routes in place;
+// untouched sites keep running. Returns a summary of the changes...
+let reloading = false;
+async function reload() {
+  if (reloading) throw "Configuration reload already in progress!";
+  reloading = true;
+  try {
+    scribe.info("CONFIG: reloading configuration from %s ...",cfgFile);
+    let file = require.resolve(cfgFile);
+    (require.cache[file]||{children:[]}).children.forEach(c=>delete require.cache[c.id]); // e.g. private.js
+    delete require.cache[file];
+    let fresh = require(cfgFile);
+    let check = LiteConfig.check(fresh,{handlers: Object.keys(LiteApp.HANDLERS).concat(Object.keys(fresh.plugins||{})), schemaOf: Plugins.schemaOf});
+    check.warnings.forEach(w=>scribe.warn("CONFIG: %s: %s",w.path,w.msg));
+    if (check.errors.length) {
+      check.errors.forEach(e=>scribe.error("CONFIG: %s: %s",e.path,e.msg));
+      throw `Configuration reload aborted, ${check.errors.length} error(s), running configuration unchanged!`;
+    };
+    fresh.proxies.mapByKey((v,k,o)=>o[k].sites=v.sites.filter(s=>fresh.sites[s]));
+    let [oldBy, newBy] = [servedBy(cfg), servedBy(fresh)];
+    // site comparison ignores aliases, which only affect proxy routes...
+    const sig = (scfg,s) => JSON.stringify(({}).mergekeys(scfg).mergekeys({aliases: null, tag: scfg.tag||s}));
+    let diff = {added: [], removed: [], changed: [], proxies: [], restart: []};
+    for (let s in oldBy) if (!(s in newBy)) diff.removed.push(s);
+    for (let s in newBy) {
+      if (!(s in oldBy)) {
+        diff.added.push(s);
+      } else if (oldBy[s]!==newBy[s] || !(newBy[s] in proxies) || sig(cfg.sites[s],s)!==sig(fresh.sites[s],s) ||
+        !!cfg.proxies[oldBy[s]].secure!==!!fresh.proxies[newBy[s]].secure) {
+        diff.changed.push(s);
       };
     };
+    for (let p in fresh.proxies) {
+      if (!(p in proxies)) { diff.restart.push(`proxy ${p} added`); continue; };
+      if (fresh.proxies[p].port!==cfg.proxies[p].port || JSON.stringify(fresh.proxies[p].secure)!==JSON.stringify(cfg.proxies[p].secure))
+        diff.restart.push(`proxy ${p} port/secure changed`);
+    };
+    for (let p in proxies) if (!(p in fresh.proxies)) diff.restart.push(`proxy ${p} removed`);
+    if (JSON.stringify(fresh.shared||{})!==JSON.stringify(cfg.shared||{})) diff.restart.push('shared services changed');
+    if (JSON.stringify(fresh.plugins||{})!==JSON.stringify(cfg.plugins||{})) diff.restart.push('handler plugins changed');
+    if (JSON.stringify(fresh.cluster||{})!==JSON.stringify(cfg.cluster||{})) diff.restart.push('cluster workers changed');
+    let headersChanged = JSON.stringify(fresh.headers||{})!==JSON.stringify(cfg.headers||{});
+    scribe.info("CONFIG: diff => sites added: [%s], removed: [%s], changed: [%s], headers %s",
+      diff.added.join(', '), diff.removed.join(', '), diff.changed.join(', '), headersChanged?'changed':'unchanged');
+    diff.restart.forEach(r=>scribe.warn("CONFIG: %s, requires a server restart, ignored",r));
+    // apply changes: sites to remove first, then changed, then added...
+    for (let s of diff.removed) await stopSite(s);
+    for (let s of diff.changed) await stopSite(s);
+    for (let s of [...diff.removed,...diff.changed]) delete cfg.sites[s];
+    if (headersChanged) {
+      cfg.headers = fresh.headers;
+      Object.keys(headers).forEach(k=>delete headers[k]);
+      headers.mergekeys({"x-powered-by": "Raspberry Pi HomebrewLite NodeJS Server "+cfg.VERSION}).mergekeys(cfg.headers);
+      for (let s in sites) if (sites[s].headers) sites[s].headers = ({}).mergekeys(headers).mergekeys(cfg.sites[s].headers);
+    };
+    for (let s in fresh.sites) cfg.sites[s] = (s in cfg.sites) ? cfg.sites[s].mergekeys({aliases: fresh.sites[s].aliases}) : fresh.sites[s];
+    for (let p in proxies) if (p in fresh.proxies) cfg.proxies[p].sites = fresh.proxies[p].sites.filter(s=>p===newBy[s]);
+    for (let s of [...diff.changed,...diff.added]) if ((newBy[s] in proxies) && !(s in disabled)) startSite(s,newBy[s]);
+    // update proxy routes in place...
+    for (let p in proxies) if (p in fresh.proxies) cfg.proxies[p].routes = fresh.proxies[p].routes;
+    updateRoutes();
+    // workers restart to pick up their sites' changes...
+    let workers = new Set([...diff.added,...diff.removed,...diff.changed].map(s=>assigned[s]).filter(w=>w));
+    if (headersChanged) Object.keys((cfg.cluster||{}).workers||{}).forEach(w=>workers.add(w));
+    if (supervisor) workers.forEach(w=>supervisor.restart(w));
+    let summary = {added: diff.added, removed: diff.removed, changed: diff.changed, headers: headersChanged, ignored: diff.restart};
+    scribe.info("CONFIG: reload complete: %s",JSON.stringify(summary));
+    return summary;
+  } catch (e) {
+    scribe.error("CONFIG: reload failed: %s",e.toString());
+    throw e;
+  } finally {
+    reloading = false;
   };
-  let pcontext = ({}).mergekeys(server).mergekeys({cfg: pcfg, tag: pcfg.tag});
-  proxies[p] = new Proxy(pcontext);
-  scribe.info("%sProxy[%s]: initialized on port %s",(pcfg.secure)?'SECURE ':'',pcfg.tag,pcfg.port); 
+};
+if (!workerName) process.on('SIGHUP',()=>reload().catch(e=>{})); // errors already transcripted
+
+// local command/control server for runtime administration...
+let command;
+if (cfg.command && !workerName) {
+  let control = {
+    sites: () => { let by = servedBy(cfg); return cfg.sites.mapByKey((scfg,s)=>({tag: scfg.tag||s, host: scfg.host, port: scfg.port,
+      proxy: by[s], state: (s in disabled) ? 'disabled' : (s in sites) ? 'running' : scfg.app===false ? 'external' :
+      assigned[s] ? `worker ${assigned[s]}` : 'stopped'})); },
+    proxies: () => proxies.mapByKey((px,p)=>({tag: px.tag, port: px.cfg.port, secure: !!px.secure,
+      sites: cfg.proxies[p].sites, routes: Object.keys(px.cfg.routes)})),
+    reload: async (d,s) => {
+      let dbx = s ? (sites[s]||{}).db : db;
+      if (!dbx || !(d in dbx)) throw "No such database";
+      await dbx[d].load();
+      if (supervisor && !s) supervisor.broadcast({hb: 'load', name: d});
+      return {msg: `Reload ${s?s+' ':''}${d} successful!`};
+    },
+    renew: async (p,name) => {
+      let secured = Object.keys(proxies).filter(x=>(!p || x===p) && proxies[x].secure);
+      if (!secured.length) throw `No such secure proxy${p?': '+p:''}`;
+      return await Promise.all(secured.map(x=>proxies[x].loadSecrets(name)));
+    },
+    enable: (s) => {
+      if (!(s in disabled)) return {msg: `Site ${s} not disabled`};
+      delete disabled[s];
+      startSite(s,servedBy(cfg)[s]);
+      updateRoutes();
+      scribe.info("Site[%s]: enabled",s);
+      return {msg: `Site ${s} enabled`};
+    },
+    disable: async (s) => {
+      if (!(s in servedBy(cfg))) throw `No such site: ${s}`;
+      disabled[s] = true;
+      updateRoutes();
+      await stopSite(s);
+      scribe.info("Site[%s]: disabled",s);
+      return {msg: `Site ${s} disabled`};
+    },
+    outbox: (filter) => { if (!notify.sandbox) throw "Notification sandbox mode not enabled"; return notify.outbox(filter); },
+    clearOutbox: () => notify.clearOutbox(),
+    workers: () => supervisor ? supervisor.report() : {},
+    blocks: () => { if (!blocklist) throw "Blocklist not configured"; return blocklist.report(); },
+    block: (ip,minutes) => { if (!blocklist) throw "Blocklist not configured"; return blocklist.block(ip,minutes&&parseFloat(minutes)); },
+    unblock: (ip) => { if (!blocklist) throw "Blocklist not configured"; return {lifted: blocklist.lift(ip)}; },
+    purge: (s,path) => {
+      let caching = Object.keys(proxies).filter(p=>proxies[p].cache);
+      if (!caching.length) throw "No proxy cache configured";
+      return caching.reduce((x,p)=>{ x[p] = proxies[p].cache.purge(s,path); return x; },{});
+    },
+    reconfig: () => reload(),
+    shutdown: () => cleanup.gracefulExit(0)
   };
+  command = new Command({cfg: cfg.command, control: control, emsg: emsg, scribe: Scribe, tag: cfg.command.tag || 'cmd'});
+  cleanup.register('command server',()=>command.stop(),'connections');
+};
+
+// periodic server and site jobs...
+server.scheduler = new Scheduler({cfg: workerName ? Object.assign({},cfg.scheduler,{jobs: {}}) : cfg.scheduler, scribe: Scribe, server: server}); // workers run site jobs only
+for (let s in sites) if (cfg.sites[s].scheduler) server.scheduler.load(cfg.sites[s].scheduler.jobs,s,sites[s]);
+cleanup.register('scheduler',()=>server.scheduler.stop(),'sites');
 
 // server status 
-scribe.Stat.set('$server','host',cfg.$HOST);
-scribe.Stat.set('$server','start',new Date().toISOString());
-scribe.Stat.set('$server','node_env',p.env.NODE_ENV);
-if (p.env.NODE_ENV=='production') sms({text:`HomebrewLite Server started on host ${cfg.$HOST}`}).catch(e=>{console.log('sms failure!:',e); });
-scribe.info("HomebrewLite setup complete...");
+if (!workerName) {
+  scribe.Stat.set('$server','host',cfg.$HOST);
+  scribe.Stat.set('$server','start',new Date().toISOString());
+  scribe.Stat.set('$server','node_env',p.env.NODE_ENV);
+  if (p.env.NODE_ENV=='production') notify.sms({text:`HomebrewLite Server started on host ${cfg.$HOST}`}).catch(e=>{console.log('sms failure!:',e); });
+};
+scribe.info("HomebrewLite %s setup complete...", workerName?`worker ${workerName}`:'server');
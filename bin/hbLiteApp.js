@@ -19,31 +19,43 @@ const bcrypt = require('bcryptjs');
 
 require('./Extensions2JS');
 const Auth = require('./hbLiteAuth');               // authentication and authorization
+const Limiter = require('./LiteLimiter');           // rate limiting
+const URLMap = require('./LiteURLMap');             // URL redirect and rewrite rules
+const Plugins = require('./LitePlugins');           // handler plugin registry and lifecycle
 var jxjDB = require('./jxjDB');                     // JSON database
 
 // NOTE: use of any of the default handlers requires the user of a users database for the specific site
-const HANDLERS = {  // default handlers and routes...
+const HANDLERS = {  // default handlers and routes, registered as plugins...
   LiteData: {   // database API support
     tag: 'data',          // transcript tag
     code: './LiteData',   // code loaded for handler
+    prefix: '$',          // route prefix claimed
     route: '/\\$:recipe(\\w+)/:opt1?/:opt2?/:opt3?/:opt4?/:opt5?', // traffic route
     db: 'site'            // required database, referencing site database defined above.
   },
   LiteFile: {   // file upload/download API support
     tag: 'file',          // transcript tag
     code: './LiteFile',   // code loaded for handler
+    prefix: '~',
     route: '/\\~:recipe(\\w+)/:opt?', // traffic route
     db: 'site'
   },
   LiteAction: {   // action API support
     tag: 'action',        // transcripting tag
     code: './LiteAction', // code loaded for handler
+    prefix: '@',
     route: '/\\@:action(\\w+)/:opt1?/:opt2?/:opt3?' // traffic route
   },
   LiteInfo: {   // info API support
     tag: 'info',          // transcripting tag
     code: './LiteInfo',   // code loaded for handler
+    prefix: '!',
     route: '/\\!:info(\\w+)' // traffic route
+  },
+  LiteSocket: {   // WebSocket channels support
+    tag: 'socket',        // transcripting tag
+    code: './LiteSocket', // code loaded for handler
+    route: '/ws'          // upgrade (and channel listing) route
   }
 };
 
@@ -72,24 +84,27 @@ module.exports = Site = function Site(context) {
 
   // create Express app instance and add settings and locals...
   this.xApp = express();
+  this.xApp.set('trust proxy','loopback');  // client IP (rqst.ip) forwarded by a local proxy, i.e. for blacklist stats
   ((context.cfg.x||{}).settings||{}).mapByKey((v,k)=>this.xApp.set(k,v));
   ((context.cfg.x||{}).locals||{}).mapByKey((v,k)=>this.xApp.locals[k]=v);
   this.scribe.Stat.set(this.tag,undefined,{requests: 0, errors: 0});
 
-  // text messaging service and mail wrappers included here to be available to all handlers; uses server level clients
+  // text messaging service and mail wrappers included here to be available to all handlers; uses server level notification service
   // phone number formatting helper function...
   const prefix = (n)=>n && String(n).replace(/^\+{0,1}1{0,1}/,'+1'); // function to prefix numbers with +1
   // asynchronous text messaging worker...
   this.sendText = async function sendText(msg,recipients) {
     if (!('users' in this.db)) throw 501;
-    let phoneBook = this.db.users.query('contacts',{ref:'.+'},true).mapByKey(v=>v.phone);
+    let contacts = this.db.users.query('contacts',{ref:'.+'},true);  // may define preferred channel (prefer) and carrier (provider)
     let sms = {id: msg.id || ''}; // format optional header with id and/or time
     sms.timestamp = msg.time ? '['+new Date().toISOString()+']' : '';
     sms.body = (msg.hdr || ((sms.id||sms.timestamp) ? sms.id+sms.timestamp+':\n' : '')) + msg.text;
-    // map recipients, group ot to "users and/or numbers" to prefixed numbers...
+    // map recipients, group or to "users and/or numbers" to contacts with prefixed numbers...
     let list = [recipients,msg.group,msg.to].filter(n=>n).toString().split(',');
-    sms.numbers = list.map(n=>prefix(isNaN(n)?phoneBook[n]:n)).filter(n=>n).filter((v,i,a)=>a.indexOf(v)==i);
-    return await this.server.sms({numbers: sms.numbers, body: sms.body, callback:msg.callback})
+    let to = list.map(n=>isNaN(n) ? (c=>c && {number: prefix(c.phone), email: c.email, provider: c.provider, prefer: c.prefer})(contacts[n]) : {number: prefix(n)})
+      .filter(c=>c && c.number).filter((v,i,a)=>a.findIndex(c=>c.number==v.number)==i);
+    sms.numbers = to.map(c=>c.number);
+    return await this.server.sms({numbers: to, body: sms.body, callback:msg.callback})
       .then(t=>({raw:t, sms:sms, msg:msg}))
       .catch(e=>{ throw e; });
   };
@@ -111,6 +126,8 @@ module.exports = Site = function Site(context) {
   
   this.build(); // build site specific app
 };
+Object.keys(HANDLERS).forEach(h=>Plugins.register(h,HANDLERS[h]));
+Site.HANDLERS = Plugins.registry; // builtin and plugin handler definitions, referenced by configuration checks
 
 // builtin middleware to handle required initialization, request logging, authentication, login, and user operations
 Site.prototype.builtin = function builtin(mwName) {
@@ -120,13 +137,25 @@ Site.prototype.builtin = function builtin(mwName) {
     case 'init':    // initialize request, logging
       self.headers = {}.mergekeys(self.server.headers).mergekeys(self.cfg.headers); // merge just once
       return function initMiddleware(rqst,rply,next){
-        self.scribe.log("RQST[%s]: %s", rqst.method, rqst.url);  // log request...
+        self.scribe.log("RQST[%s]: %s", rqst.method, redactURL(rqst.url));  // log request, without query tokens...
         self.scribe.Stat.inc(self.tag,'requests');
         self.headers.mapByKey((v,k)=>rply.set(k,v));  // apply any global and site specific headers ...
         rqst.hb = { scribe: self.scribe,  // pass site shared contexts as a namespace variable 'hb'...
           auth: { user: {member: ''}, authenticated: false, error: null, header: {}, username: '', jwt: '', authorize: ()=>false } }; 
         next();
       };
+    case 'limit':     // rate limiting by IP...
+    case 'limitUser': // ...or authenticated user (IP if anonymous), per site 'limits' rules
+      let by = mwName=='limit' ? 'ip' : 'user';
+      return function limitMiddleware(rqst,rply,next){
+        let rule = self.limiter.rule(rqst.path);
+        if (!rule || rule.by!==by) return next();
+        let wait = self.limiter.take(rule,(by=='user' && rqst.hb.auth.authenticated && rqst.hb.auth.username) || rqst.ip);
+        if (!wait) return next();
+        self.scribe.Stat.inc(self.tag,'limited');
+        rply.set('Retry-After',wait);
+        next(self.server.emsg(429));  // error handler tallies the client (blacklist) as well
+      };
     case 'cors':    // handle CORS headers, only included if self.cfg.cors is defined
       return function corsMiddleware(rqst,rply,next){
         let origin = rqst.headers['origin'];
@@ -153,10 +182,21 @@ Site.prototype.builtin = function builtin(mwName) {
       };
     case 'auth':    // authentication
       return function authMiddleware(rqst,rply,next){
-        self.auth.authenticate(rqst.headers.authorization,(u)=>self.db.users.query('userByUsername',{username: u},true))
+        let header = rqst.headers.authorization;
+        if (!header && rqst.query.token && (rqst.headers.accept||'').includes('text/event-stream')) {  // EventSource can't set headers
+          header = 'Bearer '+rqst.query.token;
+          delete rqst.query.token;
+        };
+        self.auth.authenticate(header,(u)=>self.db.users.query('userByUsername',{username: u},true))
           .then(a => {
             rqst.hb.auth = a; // assign authorization object to request
             if (a.authenticated) rply.header('authorization',"Bearer "+a.jwt);
+            if (a.byCode) { // challenge codes are single use
+              let usr = self.db.users.query('userByUsername',{username: a.username},true);
+              usr.credentials.code = {};
+              self.db.users.modify('changeUser',[{ref: usr.username, record: usr}],true);
+              self.scribe.info("User[%s]: logged in by challenge code", a.username);
+            };
             if (a.error) {
               rply.json(self.server.emsg(401,a.error));
             } else {
@@ -167,39 +207,52 @@ Site.prototype.builtin = function builtin(mwName) {
       };
     case 'user':    // user management
       var uDB = this.db['users']; // shorthand reference
+      // assign a new challenge code for a purpose ('access' to activate or log in, or 'reset' a password),
+      // and send it to the user's own phone (default) or email; resolves to {data, to}...
+      const issueCode = (usr,purpose,byMail) => {
+        if (!(byMail ? usr.email : usr.phone)) return Promise.reject(self.server.emsg(400,`No ${byMail?'email address':'phone number'} on file for ${usr.username}`));
+        usr.credentials.code = Object.assign(self.auth.genCode(),{purpose: purpose});
+        uDB.modify('changeUser',[{ref: usr.username, record: usr}],true);
+        let label = purpose=='reset' ? 'Password reset code' : 'Challenge code';
+        let text = `${label}: ${usr.credentials.code.code} user: ${usr.username} (valid ${self.auth.code.expiration} mins)`;
+        return (byMail ? self.sendMail({time: true, to: usr.username, subject: label, text: text}) : self.sendText({time: true, text: text},usr.username))
+          .then(data=>({data: data, to: byMail ? data.mail.to : data.sms.numbers.join(',')}));
+      };
       return function userMiddleware(rqst,rply,next){
         let admin = rqst.hb.auth.authorize('admin,manager');
         let selfAuth = !!(rqst.params.user && (rqst.params.user===rqst.hb.auth.user.username)); // user authenticated as self
         if (rqst.method=='GET') {
-          if (rqst.params.action==='code') {  // GET /user/code/<username>
+          if (rqst.params.action==='code') {  // GET /user/code/<username>[/bymail]
             if (!rqst.params.user) return next(400);
             let usr = uDB.query('userByUsername',{username: rqst.params.user},true);
-            console.log("usr:", usr,self.auth.genCode(),self.auth);
-            if (verifyThat(usr,'isNotEmpty')) {
-              usr.credentials.code = self.auth.genCode(); // assign code to user
-              uDB.modify('changeUser',[{ref: usr.username, record: usr}],true);
-              let text = `Challenge code: ${usr.credentials.code.code} user: ${usr.username}`;
-              if (rqst.params.opt) { // anything, then by mail
-                self.sendMail({time: true, text: text})
-                  .then(data=>{
-                    self.scribe.info(`Challenge code[${code.code}] sent to ${rqst.params.user} at ${data.mail.to}`);
-                    rply.json({data:admin?data:null, msg:`Challenge code sent to ${rqst.params.user} at ${data.mail.to}`}) })
-                  .catch(err=>{
-                    self.scribe.error("Action[code] ERROR: %s", err); 
-                    rply.json({error:err});
-                  });
-              } else { // by default sms
-                self.sendText({time: true, text: text})
-                  .then(data =>{
-                    self.scribe.info(`Challenge code[${code.code}] sent to ${rqst.params.user} at ${data.sms.numbers}`);
-                    rply.json({data:admin?data:null, msg:`Challenge code sent to ${rqst.params.user} at ${data.sms.numbers}`}) })
-                  .catch(err=>{
-                    self.scribe.error("Action[code] ERROR: ", err); 
-                    rply.json({error:err})});
-              };
-            } else {
-              next(400);
+            if (!verifyThat(usr,'isNotEmpty')) return next(400);
+            issueCode(usr,'access',!!rqst.params.opt)  // opt: anything, then by mail
+              .then(sent=>{
+                self.scribe.info(`User[${usr.username}]: challenge code sent to ${sent.to}`);
+                rply.json({data: admin?sent.data:null, msg: `Challenge code sent to ${usr.username} at ${sent.to}`}); })
+              .catch(err=>{
+                self.scribe.error("User[%s]: challenge code failed: %s", usr.username, err.msg||err.toString());
+                rply.json(err.code ? err : self.server.emsg(500,'Challenge code not sent'));
+              });
+          } else if (rqst.params.action==='reset') {  // GET /user/reset/<username>[/bymail], forgot password
+            if (!rqst.params.user) return next(400);
+            let msg = `Password reset code sent to ${rqst.params.user}, if registered`;  // same reply either way, not revealing accounts
+            let usr = uDB.query('userByUsername',{username: rqst.params.user},true);
+            if (!verifyThat(usr,'isNotEmpty') || usr.status=='INACTIVE') {
+              self.scribe.warn("User[%s]: password reset refused, unknown or inactive user", rqst.params.user);
+              return rply.json({msg: msg});
             };
+            issueCode(usr,'reset',!!rqst.params.opt)
+              .then(sent=>self.scribe.info(`User[${usr.username}]: password reset code sent to ${sent.to}`))
+              .catch(err=>self.scribe.error("User[%s]: password reset code failed: %s", usr.username, err.msg||err.toString()))
+              .then(()=>rply.json({msg: msg}));
+          } else if (rqst.params.action==='totp') {  // GET /user/totp/<username>, two-factor status
+            if (!selfAuth && !admin) return next(401);
+            let usr = uDB.query('userByUsername',{username: rqst.params.user},true);
+            if (!verifyThat(usr,'isNotEmpty')) return next(400);
+            let totp = usr.credentials.totp || {};
+            let required = asList(self.auth.totp.require).some(g=>asList(usr.member).includes(g));
+            rply.json({enabled: !!totp.enabled, pending: !!(totp.secret && !totp.enabled), recovery: (totp.recovery||[]).length, required: required});
           } else {  // GET /user/contants|groups|users/[<username>]
             let auth = selfAuth || rqst.hb.auth.user.member;
             let bindings = {ref: rqst.params.user||'.+'}; // logically, will always be 'user' when selfAuth==true 
@@ -209,12 +262,108 @@ Site.prototype.builtin = function builtin(mwName) {
         } else if (rqst.method=='POST') { // create,activate, or update 1 or more user records
           if (rqst.params.action==='code') { // POST /user/code/<username>/<code> -> validate code, activate user
             let who = uDB.query('userByUsername',{username: rqst.params.user||''},true);  // no auth since user not ACTIVE...
-            if (verifyThat(who,'isNotEmpty') &&  self.auth.checkCode(rqst.params.opt,who.credentials.code)) {
-              if (who.status=='PENDING') {
-                who.status = 'ACTIVE';
-                uDB.modify('changeUser',[[who.username,who]],true);
-              };
+            if (verifyThat(who,'isNotEmpty') &&  self.auth.checkCode(rqst.params.opt,who.credentials.code,'access')) {
+              if (who.status=='PENDING') who.status = 'ACTIVE';
+              who.credentials.code = {};  // single use
+              uDB.modify('changeUser',[[who.username,who]],true);
+              self.scribe.info("User[%s]: challenge code verified, status: %s", who.username, who.status);
               rply.json({msg: `Status: ${who.status}`});
+            } else {
+              self.scribe.warn("User[%s]: invalid or expired challenge code", rqst.params.user);
+              next(400);
+            };
+          } else if (rqst.params.action==='reset') { // POST /user/reset/<username>/<code>, body {password} -> sets a new password
+            let who = uDB.query('userByUsername',{username: rqst.params.user||''},true);
+            let password = (rqst.body||{}).password;
+            if (!password || typeof password!='string') return next(self.server.emsg(400,'New password required'));
+            if (verifyThat(who,'isNotEmpty') && who.status!='INACTIVE' && self.auth.checkCode(rqst.params.opt,who.credentials.code,'reset')) {
+              who.credentials = {hash: bcrypt.hashSync(password,11), code: {}, totp: who.credentials.totp};  // code single use, keeps 2FA
+              if (who.status=='PENDING') who.status = 'ACTIVE';  // code delivery verified the user's contact
+              uDB.modify('changeUser',[[who.username,who]],true);
+              self.scribe.info("User[%s]: password reset, status: %s", who.username, who.status);
+              rply.json({msg: `Password changed, status: ${who.status}`});
+            } else {
+              self.scribe.warn("User[%s]: password reset refused, invalid or expired code", rqst.params.user);
+              next(400);
+            };
+          } else if (rqst.params.action==='register') { // POST /user/register/<username>[/bymail], body: profile and password
+            // username always from the path, as for code and reset, so a 'bymail' path segment is never taken for one...
+            let record = verifyThat(rqst.body,'isTrueObject') ? ({}).mergekeys(rqst.body) : {};
+            let username = rqst.params.user;
+            if (record.username && record.username!==username) return next(self.server.emsg(400,'Registration username belongs in the path, /user/register/<username>[/bymail]'));
+            let byMail = !!rqst.params.opt;
+            if (!username || !record.password || !(byMail ? record.email : record.phone))
+              return next(self.server.emsg(400,`Registration requires a username, password, and ${byMail?'email address':'phone number'}`));
+            if (verifyThat(uDB.query('userByUsername',{username: username},true),'isNotEmpty')) return next(self.server.emsg(400,'Username unavailable'));
+            const DEFAULTS = uDB.defaults('users');  // default user entry
+            let hash = bcrypt.hashSync(record.password,11);
+            ['credentials','member','password','status'].forEach(k=>delete record[k]);  // not self assigned
+            let entry = ({}).mergekeys(DEFAULTS).mergekeys(record).mergekeys({username: username, status: 'PENDING', credentials: {hash: hash, code: {}}});
+            uDB.modify('changeUser',[{ref: username, record: entry}],true);
+            self.scribe.info("User[%s]: registered, pending verification", username);
+            issueCode(entry,'access',byMail)
+              .then(sent=>{
+                self.scribe.info(`User[${username}]: verification code sent to ${sent.to}`);
+                rply.json({msg: `Registered ${username}, verification code sent to ${sent.to}`}); })
+              .catch(err=>{
+                self.scribe.error("User[%s]: verification code failed: %s", username, err.msg||err.toString());
+                rply.json(self.server.emsg(500,`Registered ${username}, but the verification code was not sent; request a new code`));
+              });
+          } else if (rqst.params.action==='totp') { // POST /user/totp/<username>/enroll|verify|recovery|disable, body {code}
+            let op = rqst.params.opt;
+            let code = String((rqst.body||{}).code||'');
+            if (!selfAuth && !(op=='disable' && admin)) return next(401);  // only admins disable another's 2FA, i.e. lost devices
+            let usr = uDB.query('userByUsername',{username: rqst.params.user},true);
+            if (!verifyThat(usr,'isNotEmpty')) return next(400);
+            let totp = usr.credentials.totp || {};
+            const save = (t,msg) => {
+              if (t) { usr.credentials.totp = t; } else { delete usr.credentials.totp; };
+              uDB.modify('changeUser',[{ref: usr.username, record: usr}],true);
+              self.scribe.info("User[%s]: %s", usr.username, msg);
+            };
+            const refuse = (msg) => {
+              self.scribe.warn("User[%s]: two-factor %s refused: %s", usr.username, op, msg);
+              next(self.server.emsg(400,msg));
+            };
+            if (op=='enroll') {  // new secret, enabled once verified
+              if (totp.enabled) return refuse('Two-factor authentication already enabled, disable first');
+              let enroll;
+              try { enroll = self.auth.genTOTP(usr.username); }
+              catch (e) {  // site misconfigured, no key to protect secrets
+                self.scribe.error("User[%s]: two-factor enroll failed: %s", usr.username, e.toString());
+                return next(self.server.emsg(503,e.toString()));
+              };
+              save({secret: enroll.sealed, enabled: false},'two-factor enrollment started');  // encrypted at rest
+              rply.json({secret: enroll.secret, uri: enroll.uri});
+            } else if (op=='verify') {  // first code enables 2FA, returning recovery codes, shown just this once
+              if (!totp.secret || totp.enabled) return refuse('No pending two-factor enrollment');
+              let step = self.auth.checkTOTP(totp,code);
+              if (!step) return refuse('Invalid code');
+              self.auth.genRecovery()
+                .then(r=>{
+                  save({secret: totp.secret, enabled: true, last: step, recovery: r.hashes},'two-factor authentication enabled');
+                  rply.json({msg: 'Two-factor authentication enabled', recovery: r.codes});
+                })
+                .catch(next);
+            } else if (op=='recovery') {  // replaces recovery codes, given a current code
+              if (!totp.enabled) return refuse('Two-factor authentication not enabled');
+              let step = self.auth.checkTOTP(totp,code);
+              if (!step) return refuse('Invalid code');
+              self.auth.genRecovery()
+                .then(r=>{
+                  save(Object.assign(totp,{last: step, recovery: r.hashes}),'two-factor recovery codes replaced');
+                  rply.json({msg: 'Recovery codes replaced', recovery: r.codes});
+                })
+                .catch(next);
+            } else if (op=='disable') {  // by self given a current or recovery code, or by an admin
+              if (!totp.secret) return refuse('Two-factor authentication not enabled');
+              (selfAuth && totp.enabled ? (self.auth.checkTOTP(totp,code) ? Promise.resolve(0) : self.auth.checkRecovery(totp,code)) : Promise.resolve(0))
+                .then(valid=>{
+                  if (valid<0) return refuse('Invalid code');
+                  save(undefined,`two-factor authentication disabled by ${rqst.hb.auth.username}`);
+                  rply.json({msg: 'Two-factor authentication disabled'});
+                })
+                .catch(next);
             } else {
               next(400);
             };
@@ -234,6 +383,7 @@ Site.prototype.builtin = function builtin(mwName) {
                   // build a safe record...
                   delete record.credentials;
                   record.credentials = { hash: record.password ? bcrypt.hashSync(record.password,11) : '', code: {} };
+                  if (exists && existing.credentials && existing.credentials.totp) record.credentials.totp = existing.credentials.totp; // 2FA changes by /user/totp only
                   delete record.password;
                   self.scribe.trace("user record[%s] ==> %s", record.username, JSON.stringify(record));
                   let entry = ({}).mergekeys(DEFAULTS).mergekeys(existing).mergekeys(record);
@@ -263,31 +413,53 @@ Site.prototype.builtin = function builtin(mwName) {
       };
     case 'login':   // user login response
       return function loginMiddleware(rqst,rply,next){
-        if (rqst.hb.auth.error) return next(emsg(401,rqst.hb.auth.error));
+        if (rqst.method=='POST' && rqst.path=='/totp') {  // POST /login/totp, body {token, code}: second factor
+          let {token, code} = rqst.body || {};
+          return self.auth.authenticateTOTP(token,code,(u)=>self.db.users.query('userByUsername',{username: u},true))
+            .then(a=>{
+              if (a.error) {
+                self.scribe.warn("User[%s]: two-factor login failed: %s", a.username||'?', a.error);
+                return next(self.server.emsg(401,a.error));
+              };
+              // codes single use: check again against the current record, as concurrent logins may have used it...
+              let usr = self.db.users.query('userByUsername',{username: a.username},true);
+              let totp = ((usr||{}).credentials||{}).totp || {};
+              let used = a.totp.last ? !(a.totp.last>(totp.last||0)) : !(totp.recovery||[]).includes(a.totp.recovery);
+              if (used) {
+                self.scribe.warn("User[%s]: two-factor login refused: code already used", a.username);
+                return next(self.server.emsg(401,'Authentication failed! Invalid or reused code.'));
+              };
+              if (a.totp.last) totp.last = a.totp.last;
+              else totp.recovery.splice(totp.recovery.indexOf(a.totp.recovery),1);
+              self.db.users.modify('changeUser',[{ref: usr.username, record: usr}],true);
+              if (a.totp.last) self.scribe.info("User[%s]: logged in with two-factor code", a.username);
+              else self.scribe.warn("User[%s]: logged in with recovery code, %s remaining", a.username, totp.recovery.length);
+              rply.header('authorization',"Bearer "+a.jwt);
+              rply.json({jwt: a.jwt});
+            })
+            .catch(next);
+        };
+        if (rqst.hb.auth.error) return next(self.server.emsg(401,rqst.hb.auth.error));
+        if (rqst.hb.auth.mfa) return rply.json({mfa: rqst.hb.auth.mfa.method, token: rqst.hb.auth.mfa.token, msg: 'Second factor required'});
+        if ((rqst.hb.auth.restricted||[]).length) {  // 2FA required for some groups, but not enabled
+          self.scribe.warn("User[%s]: logged in without groups %s, two-factor authentication required", rqst.hb.auth.username, rqst.hb.auth.restricted.join(','));
+          return rply.json({jwt: rqst.hb.auth.jwt, restricted: rqst.hb.auth.restricted});
+        };
         rply.json({jwt: rqst.hb.auth.jwt});
       };
-    case 'mapURL':  // URL redirects and rewrites
+    case 'mapURL':  // URL redirects and rewrites, per site rules
+      self.urlMap = new URLMap({cfg: self.cfg, scribe: self.server.scribe, tag: self.tag});
       return function mapURLMiddleware(rqst,rply,next){
-        if (self.cfg.redirect) {  // handle redirect: reports new file back to client...
-          let origin = url.parse(rqst.originalUrl);
-          if (self.cfg.redirect[origin.pathname]) {
-            let destination = url.format(origen.mergekeys({pathname: self.cfg.redirect[origin.pathname]}));
-            self.scribe.debug("URL[redirect]: %s ==> %s", rqst.originalUrl, destination);
-            return rply.redirect(destination);
-          };
+        if (!self.urlMap.rules.length) return next();
+        let {result} = self.urlMap.apply({url: rqst.url, host: rqst.hostname, method: rqst.method});
+        if (result.action=='redirect') {  // external: reports new location back to client...
+          self.scribe.debug("URL[redirect %s]: %s ==> %s", result.code, redactURL(rqst.originalUrl), redactURL(result.location));
+          return rply.redirect(result.code,result.location);
         };
-        if (self.cfg.rewrite) {  // handle URL rewriting: reports new file back to client...
-          let newURL = rqst.originalUrl;
-          for (let rule in self.cfg.rewrite) {
-            if (newURL.match(pattern)) {
-              let [pattern,substitution,last] = self.cfg.rewrite[rule];
-              newURL = newURL.replace(pattern,substitution);
-              if (last) break;
-            };
-          };
-          self.scribe.debug("URL[rewrite]: %s ==> %s", rqst.originalUrl, newURL);
-          rqst.originalUrl = newURL;
-          rqst.query = qs.parse(url.parse(rqst.originalUrl).query); // reparse in case changed
+        if (result.action=='rewrite') {  // internal: following middleware routes by the new URL...
+          self.scribe.debug("URL[rewrite]: %s ==> %s", redactURL(rqst.url), redactURL(result.url));
+          rqst.url = result.url;
+          rqst.query = qs.parse(url.parse(rqst.url).query); // reparse in case changed
         };
         next(); // proceed to next middleware
       };
@@ -311,7 +483,7 @@ Site.prototype.builtin = function builtin(mwName) {
       return function defaultErrorHandlerMiddleware(err,rqst,rply,next) {
         let ex = !isNaN(err) ? self.server.emsg(err) : err;  // convert default errors to homebrew format
         if (ex instanceof Object && 'code' in ex) { // homebrew error {code: #, msg:'prompt'}...
-          self.scribe.warn('OOPS[%s]: %s ==> (%s->%s) %s %s', ex.code, ex.msg, rqst.ip, rqst.hostname, rqst.method,rqst.originalUrl);
+          self.scribe.warn('OOPS[%s]: %s ==> (%s->%s) %s %s', ex.code, ex.msg, rqst.ip, rqst.hostname, rqst.method,redactURL(rqst.originalUrl));
           self.scribe.Stat.inc(self.cfg.tag,ex.code);
           self.scribe.Stat.inc(self.cfg.tag,'errors');
           self.scribe.Stat.inc(self.cfg.tag+'-blacklist-'+ex.code,rqst.ip);
@@ -337,22 +509,50 @@ Site.prototype.build = function build() {
   // basic site initialization middleware that includes authentication...
   this.xApp.use(this.builtin('init'));    // handler to initialize and log requests
   this.xApp.use(this.builtin('mapURL'));  // handler to redirect and rewrite requests
+  this.limiter = new Limiter({rules: this.cfg.limits, defaults: Limiter.SITE_DEFAULTS, scribe: this.server.scribe, tag: this.tag});
+  this.xApp.use(this.builtin('limit'));   // handler to rate limit requests by IP, before credentials get checked
   if (this.secure) {
     if (this.cfg.cors) this.xApp.use(this.builtin('cors'));    // handler for CORS requests
     this.xApp.use(this.builtin('auth'));    // handler to authenticate users
+    this.xApp.use(this.builtin('limitUser'));  // handler to rate limit requests by authenticated user
     this.xApp.use('/login',this.builtin('login'));  // handler to respond to user login request
     this.xApp.use('/user/:action/:user?/:opt?',this.builtin('user'));  // handler for user management
   } else {
     this.xApp.use(this.builtin('noauth'));    // handler to bypass authenticating users
   };
-  // static and custom middleware handlers...
+  // static and custom middleware handlers, as plugins...
   if (this.cfg.root) this.xApp.use(express.static(this.cfg.root));
-  (this.cfg.handlers||[]).forEach(h=>{
-    var hx = h in HANDLERS ? HANDLERS[h] : typeof h=='object' ? ({}).mergekeys(h) : undefined;
-    if (hx) { (h.tag=='static') ? this.xApp.use(express.static(h.root)) : this.xApp.use(hx.route,require(hx.code).call(this,hx)) }; });
+  this.plugins = new Plugins({site: this});
+  (this.cfg.handlers||[]).forEach(h=>this.plugins.mount(h));
   // request termination and error handling...
   this.xApp.use(this.builtin('terminate'));    // redirects to secure site or throws default error; skipped if a real error occurs prior
   this.xApp.use(this.builtin('ErrorHandler')); // final error handler...
-  this.xApp.listen(this.cfg.port);    // http site
+  this.listener = this.xApp.listen(this.cfg.port,()=>this.plugins.ready());    // http site
+  if (this.sockets) this.listener.on('upgrade',(rqst,socket,head)=>{  // WebSocket handlers, by route
+    let handler = this.sockets.find(s=>url.parse(rqst.url).pathname===s.route);
+    if (handler) handler.upgrade(rqst,socket,head); else socket.destroy();
+  });
   this.scribe.info("Site server started for %s at %s:%s", this.tag, this.cfg.host, this.cfg.port);
 };
+
+// stop accepting requests; resolves when in-progress requests complete and the listener closes...
+Site.prototype.stop = function stop() {
+  if (this.limiter) this.limiter.stop();
+  (this.sockets||[]).forEach(s=>s.close());
+  (this.streams||[]).forEach(r=>r.end());  // event streams (LiteData) never finish otherwise
+  return new Promise((resolve,reject)=>{
+    if (!this.listener) return resolve();
+    this.listener.close(e=>(e && e.code!='ERR_SERVER_NOT_RUNNING') ? reject(e) : resolve());  // already closed by cluster worker disconnect
+    this.scribe.info("Site server stopping for %s at %s:%s", this.tag, this.cfg.host, this.cfg.port);
+  }).then(()=>this.plugins && this.plugins.shutdown());  // plugin shutdown hooks, once requests complete
+};
+
+// report the health of the site's handler plugins (see LitePlugins)...
+Site.prototype.health = function health() {
+  return this.plugins ? this.plugins.health() : Promise.resolve({ok: true, plugins: {}});
+};
+
+// broadcast a message to the subscribers of a WebSocket channel (see LiteSocket); returns the count of recipients...
+Site.prototype.publish = function publish(channel,data,from) {
+  return (this.sockets||[]).reduce((n,s)=>n+s.publish(channel,data,from),0);
+};
@@ -35,9 +35,21 @@ VARS and METHODS...
     username:           recovered login/user id for convenience
     jwt:                generated return JSON web token data of user
     authorize(allowed): function to determine if user is authorized for resource.
+    byCode:             true if authenticated by a challenge code (single use, to be cleared by the caller)
+    mfa:                if defined, {method: 'totp', token}, password accepted but second factor required
+    restricted:         groups withheld from a user, required to have two-factor authentication enabled
+    totp:               TOTP login changes to persist by the caller: {last: <time step>} or {recovery: <hash used>},
+                        to verify again against a fresh read of the user before saving
     renewal():          function to validate certificate renewal request.
     
   users:                Users JSON DB holding user credentials.
+  
+TWO-FACTOR (TOTP, RFC 6238)...
+  A user's credentials.totp = {secret, enabled, last, recovery: [bcrypt hashes]} enables a second factor.
+  The secret is stored encrypted (AES-256-GCM) with a key derived from auth.totp.key, or else auth.secret,
+  so the users database alone doesn't reveal it; enrollment requires one of them to be configured.
+  Basic login of such a user returns who.mfa instead of a JWT; authenticateTOTP(mfa.token,code,userCB)
+  then accepts a current TOTP code (not reused) or an unused recovery code to issue the JWT.
     
 */
 
@@ -87,14 +99,64 @@ function authorize(allowed,memberOf) {
 // genCode: generates unique codes for authentication verification...
 function genCode(size, base, expires) { return {code: uniqueID(size,base), iat: new Date().valueOf()/1000|0, exp: expires*60}; };
 
-// authentication by generated code...
-function checkCode(challengeCode,credentials) {
-  if (!credentials) return false;
-  let expires = new Date((credentials.iat+credentials.expiration)*1000);
-  if (expires<new Date()) return false;
+// authentication by generated code, unexpired and issued for the purpose (if given; codes default to 'access')...
+function checkCode(challengeCode,credentials,purpose) {
+  if (!credentials || !credentials.code) return false;
+  let expires = new Date((credentials.iat+credentials.exp)*1000);
+  if (!(expires>new Date())) return false;  // also rejects malformed (NaN) expirations
+  if (purpose && (credentials.purpose||'access')!==purpose) return false;
   return challengeCode===credentials.code;
 };
 
+// base32 (RFC 4648) encoding of TOTP secrets...
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+function e32(buf) {
+  let bits = Array.from(buf).map(b=>b.toString(2).padStart(8,'0')).join('');
+  return (bits.match(/.{1,5}/g)||[]).map(b=>B32[parseInt(b.padEnd(5,'0'),2)]).join('');
+};
+function d32(txt) {
+  let bits = String(txt).toUpperCase().replace(/[\s=-]/g,'').split('').map(c=>B32.indexOf(c).toString(2).padStart(5,'0')).join('');
+  return Buffer.from((bits.match(/.{8}/g)||[]).map(b=>parseInt(b,2)));
+};
+// HMAC based one time password (RFC 4226) for a counter...
+function hotp(key,counter,digits=6) {
+  let msg = Buffer.alloc(8);
+  msg.writeUInt32BE(Math.floor(counter/2**32),0);
+  msg.writeUInt32BE(counter%2**32,4);
+  let hmac = crypto.createHmac('sha1',key).update(msg).digest();
+  let offset = hmac[hmac.length-1] & 0x0f;  // dynamic truncation
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10**digits).padStart(digits,'0');
+};
+// time based one time password check (RFC 6238), 30s steps, allowing window steps of clock drift...
+// returns the matching time step, only if later than the last step used (no reuse), or 0
+function verifyTOTP(secret,code,window=1,last=0) {
+  if (!secret || !/^\d{6}$/.test(String(code||''))) return 0;
+  let key = d32(secret);
+  let now = Math.floor(Date.now()/30000);
+  for (let step=now-window; step<=now+window; step++)
+    if (step>last && crypto.timingSafeEqual(Buffer.from(hotp(key,step)),Buffer.from(String(code)))) return step;
+  return 0;
+};
+// encryption of TOTP secrets at rest, as 'aes:<iv>:<tag>:<ciphertext>' (base64 fields)...
+function seal(text,key) {
+  let iv = crypto.randomBytes(12);
+  let cipher = crypto.createCipheriv('aes-256-gcm',key,iv);
+  let data = Buffer.concat([cipher.update(text,'utf8'),cipher.final()]);
+  return ['aes',iv,cipher.getAuthTag(),data].map(x=>typeof x=='string' ? x : x.toString('base64')).join(':');
+};
+function unseal(sealed,key) {  // undefined if not decryptable, i.e. wrong key or tampered
+  try {
+    let [kind, iv, tag, data] = String(sealed).split(':').map((x,i)=>i ? Buffer.from(x,'base64') : x);
+    if (kind!=='aes' || !key) return undefined;
+    let decipher = crypto.createDecipheriv('aes-256-gcm',key,iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data),decipher.final()]).toString('utf8');
+  } catch (e) { return undefined; };
+};
+// recovery codes, as 'xxxx-xxxx', compared without case or separators...
+const normalCode = (code) => String(code||'').toLowerCase().replace(/[\s-]/g,'');
+const genRecoveryCode = () => e32(crypto.randomBytes(5)).toLowerCase().replace(/^(.{4})/,'$1-');
+
 // constructor ...
 module.exports = Auth = function Auth(cfg={}) {
   this.secret = cfg.secret || uniqueID(64,16);  // 256-bit default
@@ -102,6 +164,47 @@ module.exports = Auth = function Auth(cfg={}) {
   this.code = {size: 7, base: 16, expiration: 10}.mergekeys(cfg.code || {});
   this.genCode = (size=this.code.size, base=this.code.base, expires=this.code.expiration) => genCode(size,base,expires);
   this.checkCode = checkCode;
+  this.totp = ({issuer: 'HomebrewLite', require: [], window: 1, recovery: 10, timeout: 5}).mergekeys(cfg.totp || {}); // timeout in minutes
+  let totpKey = this.totp.key || cfg.secret;  // a generated secret wouldn't survive a restart
+  this.totpKey = totpKey ? crypto.createHash('sha256').update('totp:'+totpKey).digest() : null;
+  delete this.totp.key;
+};
+
+// new TOTP secret and provisioning (otpauth) URI for authenticator apps, plus the secret sealed for storage...
+Auth.prototype.genTOTP = function genTOTP(username) {
+  if (!this.totpKey) throw "Two-factor authentication requires a configured auth.secret or auth.totp.key";
+  let secret = e32(crypto.randomBytes(20));  // 160-bit, as RFC 4226 recommends
+  let label = encodeURIComponent(this.totp.issuer)+':'+encodeURIComponent(username);
+  let uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.totp.issuer)}&algorithm=SHA1&digits=6&period=30`;
+  return {secret: secret, uri: uri, sealed: seal(secret,this.totpKey)};
+};
+
+// check a TOTP code against a user's totp credentials; returns the time step matched or 0...
+Auth.prototype.checkTOTP = function checkTOTP(totp,code) { return verifyTOTP(unseal((totp||{}).secret,this.totpKey),code,this.totp.window,(totp||{}).last||0); };
+
+// generate recovery codes; resolves to {codes, hashes}, codes shown to the user once, only hashes stored...
+Auth.prototype.genRecovery = async function genRecovery(count=this.totp.recovery) {
+  let codes = Array.from({length: count},genRecoveryCode);
+  return {codes: codes, hashes: await Promise.all(codes.map(c=>bcrypt.hash(normalCode(c),11)))};
+};
+
+// check a recovery code against a user's totp credentials; resolves to the index of the matching hash or -1...
+Auth.prototype.checkRecovery = async function checkRecovery(totp,code) {
+  let hashes = (totp||{}).recovery || [];
+  let given = normalCode(code);
+  if (given.length!==8) return -1;
+  for (let i=0; i<hashes.length; i++) if (await bcrypt.compare(given,hashes[i])) return i;
+  return -1;
+};
+
+// groups withheld from a user's membership when required to have two-factor authentication, but not enabled...
+Auth.prototype.restrict = function restrict(user) {
+  let required = asList(this.totp.require);
+  let restricted = asList(user.member).filter(g=>required.includes(g));
+  if (!restricted.length || ((user.credentials||{}).totp||{}).enabled) return [];
+  let member = asList(user.member).filter(g=>!required.includes(g));
+  user.member = user.member instanceof Array ? member : member.join(',');
+  return restricted;
 };
 
 // parses the basic/bearer authorization header to return login credentials
@@ -134,8 +237,14 @@ Auth.prototype.authenticate = async function authenticate(header,userCB) {
     if (who.header.method=='basic') {             // validate user against database
       let user = userCB(who.header.username);     // get user data
       if (verifyThat(user,'isNotEmpty') && user.credentials.hash && (!user.status||(user.status=='ACTIVE'))) { // check user status, if defined
-        who.authenticated = checkCode(who.header.pw,user.credentials.code) || await bcrypt.compare(who.header.pw,user.credentials.hash);
-        if (who.authenticated) {   // build JWT
+        who.byCode = checkCode(who.header.pw,user.credentials.code,'access');  // password reset codes don't log in
+        who.authenticated = who.byCode || await bcrypt.compare(who.header.pw,user.credentials.hash);
+        if (who.authenticated && (user.credentials.totp||{}).enabled) {  // second factor required before a JWT
+          who.authenticated = false;
+          who.username = user.username;
+          who.mfa = {method: 'totp', token: createJWT({mfa: 'totp', username: user.username},this.secret)};
+        } else if (who.authenticated) {   // build JWT
+          who.restricted = this.restrict(user);
           delete user.credentials; // remove sensitive user information
           who.user = user;
           who.username = user.username;
@@ -145,7 +254,9 @@ Auth.prototype.authenticate = async function authenticate(header,userCB) {
         who.error = "Authentication failed! Invalid or Inactive username or password.";
       };
     } else if (who.header.method=='bearer') {  // validate JWT
-      if (who.header.payload) {  // already parsed
+      if (who.header.payload && who.header.payload.mfa) {  // pending second factor tokens don't authenticate
+        who.error = "Authentication failed! Second factor required. Login again."
+      } else if (who.header.payload) {  // already parsed
         if (!expiredJWT(who.header.payload,this.jwt.expiration*60)) {
           who.user = who.header.payload;
           who.username = who.user.username;
@@ -164,3 +275,34 @@ Auth.prototype.authenticate = async function authenticate(header,userCB) {
   who.authorize = (allowed,member=who.user.member,auth=who.authenticated) => auth ? authorize (allowed,member) : false;
   return who
 };
+
+// completes a two-factor login: validates the mfa token (from authenticate) and a TOTP or recovery code...
+Auth.prototype.authenticateTOTP = async function authenticateTOTP(token,code,userCB) {
+  let who = {user:{username:'',member:''}, authenticated: false, error: null};
+  let payload = verifyJWT(String(token||''),this.secret);
+  if (payload && payload.mfa=='totp' && !expiredJWT(payload,this.totp.timeout*60)) {
+    let user = userCB(payload.username);
+    let totp = verifyThat(user,'isNotEmpty') && (!user.status||(user.status=='ACTIVE')) && (user.credentials||{}).totp;
+    if (totp && totp.enabled) {
+      let step = this.checkTOTP(totp,code);
+      let index = step ? -1 : await this.checkRecovery(totp,code);
+      if (step || index>=0) {
+        who.totp = step ? {last: step} : {recovery: totp.recovery[index]};
+        who.authenticated = true;
+        delete user.credentials; // remove sensitive user information
+        who.user = user;
+        who.username = user.username;
+        who.jwt = createJWT(who.user,this.secret);
+      } else {
+        who.username = user.username;
+        who.error = "Authentication failed! Invalid or reused code.";
+      };
+    } else {
+      who.error = "Authentication failed! Two-factor authentication not enabled.";
+    };
+  } else {
+    who.error = "Authentication failed! Invalid or expired token. Login again.";
+  };
+  who.authorize = (allowed,member=who.user.member,auth=who.authenticated) => auth ? authorize (allowed,member) : false;
+  return who
+};
@@ -6,82 +6,202 @@ proxy.js script defines a reverse proxy server for a small multi-domain NodeJS
 homebrew web hosting service with custom routing logic that maps hostname to backend server.
 
 For secure proxies (i.e. https), under proxy configuration key must define: 
-  {secure: {key: <path_to_key_file>, cert: <path_to_cert_file>}}
+  {secure: {files: {key: <path_to_key_file>, cert: <path_to_cert_file>}}}
+  and optionally per-hostname certificates, by exact or wildcard ('*.example.net') names, selected by SNI:
+  {secure: {files: {...}, hosts: {<hostname>: {key: <path_to_key_file>, cert: <path_to_cert_file>}, ...}}}
   This module allows secrets to be updated (in the background) without stopping server (i.e. Let's Encrypt);
+  key/cert files get watched and reloaded automatically once changes settle, unless {secure: {watch: false}};
+  {secure: {watch: {debounce: <ms>, notify: ['sms','mail']}}} sets the settling delay (default 5000) and
+  notification channels (default ['sms']). A renewed pair must be valid (key matches certificate, not
+  expired) or the previous certificate stays in service.
+
+Routes map a key of the form <host-pattern>[/<path-prefix>] to a backend {host, port}, where the host
+pattern may be an exact hostname, or use '*' for any single label and '**' for one or more labels,
+e.g. '*.*.example.net'; optional route keys...
+  regex:    host regular expression (case insensitive), used instead of the key's host pattern
+  path:     path prefix, instead of one in the key, i.e. 'example.net/cam'
+  strip:    flag to remove the matched path prefix before forwarding
+  priority: explicit evaluation priority, higher first, default 0
+Routes evaluate in order of priority, then exact hosts, regex hosts, and wildcard hosts (most literal
+labels first), then longest path prefix, then configuration order. The optional proxy 'default' key
+(a route or site name, or a {host, port} object) routes any otherwise unmatched request.
+
+Routes with a 'health' block get periodic backend probes (see LiteHealth.js); while a backend is down,
+or fails to respond, requests get a maintenance response instead of a generic proxy error.
+
+An insecure proxy may redirect requests to the https equivalent at once, passing ACME challenges through...
+  redirect: {hosts: ['example.net','*.example.net'], port: 443, code: 301, except: ['/.well-known/acme-challenge/']}
+  (or redirect: true for all hosts with defaults as shown); a secure proxy may add HSTS headers to responses...
+  hsts: {maxAge: 31536000, includeSubDomains: true, preload: false} (or hsts: true for defaults as shown, without options)
+
+An optional 'accessLog' writes each request to a dedicated access log (see LiteAccessLog.js).
+An optional 'cache' keeps cacheable backend responses (i.e. static assets) per their headers (see LiteCache.js).
+
+Clients on the server blocklist (see LiteBlocklist.js), if any, get their connections dropped. An optional
+'limit' ({rate, burst}) rate limits requests per IP (see LiteLimiter.js), refusing excess ones with a 429 error.
+
+Routes with an 'upstream' block spread requests over several backend targets (see LiteBalancer.js);
+target selection then relies on passive failure detection, and a 'health' block only provides the
+maintenance response once every tried target fails.
 
 SYNTAX:
   var Proxy = require('./hbProxy');
   var proxy = new Proxy(<proxy-config>);
   proxy.start([<callback>]);
   ...
-  proxy.loadSecrets();  // to load renewed certificate files 
+  proxy.loadSecrets([<name>]);  // to load renewed certificate files, all or one named (i.e. hostname or 'default')
+  proxy.cache.purge([<site>[,<path>]]);  // to remove cached responses, if caching
 */ 
 
 // load module dependencies...
+require('./Extensions2JS');
 var http = require('http');
 var https = require('https');
 var httpProxy = require('http-proxy');
 const tls = require('tls');
 const forge = require('node-forge');
+const fs = require('fs');
 var fsp = require('fs').promises;
+const path = require('path');
 var url = require('url');
+const Health = require('./LiteHealth');
+const Balancer = require('./LiteBalancer');
+const Limiter = require('./LiteLimiter');
+const AccessLog = require('./LiteAccessLog');
+const Cache = require('./LiteCache');
 
 module.exports = Proxy = function Proxy(context) {
   this.cfg = context.cfg;
   this.tag = context.tag;
   this.emsg = context.emsg;
+  this.notify = context.notify;
+  this.blocklist = context.blocklist;
   this.scribe = context.scribe(context.tag);
-  this.scribe.Stat.set(context.tag,undefined,{errors: 0, probes: 0, served: 0});
+  this.scribe.Stat.set(context.tag,undefined,{errors: 0, limited: 0, maintenance: 0, probes: 0, redirected: 0, retries: 0, served: 0});
   this.proxy = httpProxy.createServer(context.cfg.options||{});
+  this.health = new Health({emsg: context.emsg, notify: context.notify, scribe: context.scribe, tag: context.tag});
+  this.balancer = new Balancer({scribe: context.scribe, tag: context.tag});
+  this.limiter = context.cfg.limit ? new Limiter({rules: {'': context.cfg.limit}, scribe: context.scribe, tag: context.tag}) : null;
+  this.accessLog = context.cfg.accessLog ? new AccessLog({cfg: context.cfg.accessLog, scribe: context.scribe, tag: context.tag}) : null;
+  this.toSecure = (context.cfg.redirect && !context.cfg.secure) ? redirectCfg(context.cfg.redirect) : null;
+  this.hsts = (context.cfg.hsts && context.cfg.secure) ? hstsHeader(context.cfg.hsts) : null;
+  this.cache = context.cfg.cache ? new Cache({cfg: context.cfg.cache, emsg: context.emsg, scribe: context.scribe, tag: context.tag}) : null;
+  if (this.cache) this.proxy.on('proxyRes',(proxyRes,rqst,rply)=>this.cache.capture(proxyRes,rqst,rply));
+  this.setRoutes(this.cfg.routes||{});
   this.initSecure(context.cfg.secure) // configure server security ...
     .then(x=>{this.start(context.router)})  // context.router undefined, defaults to internal proxy router
     .catch(e=>this.scribe.fatal("Proxy '%s' creation failed!", this.tag));
 };
 
-// asynchronously prepare the security context...
+// asynchronously prepare the security contexts: the default certificate (files), plus any per-hostname ones...
 Proxy.prototype.initSecure = async function initSecure(cfg) {
   if (cfg===undefined) return;
-  this.secure = {options: {SNICallback: this.SNICallback()}};
-  return await this.loadSecrets(cfg.files);
+  this.secure = {options: {SNICallback: this.SNICallback()}, certs: {}, watchers: []};
+  if (cfg.files===undefined) throw "Required proxy secrets files (key/cert) not defined!";
+  this.secure.certs['default'] = {name: 'default', files: cfg.files};
+  for (let h in (cfg.hosts||{})) this.secure.certs[h.toLowerCase()] = {name: h.toLowerCase(), files: cfg.hosts[h]};
+  let info = await this.loadSecrets();
+  if (cfg.watch!==false) this.watchSecrets(cfg.watch===true ? {} : cfg.watch);
+  return info;
+};
+
+// watch certificate/key files for changes (i.e. renewals) and reload them once settled; directories
+// get watched, since renewals (i.e. certbot) typically replace files or symbolic links...
+Proxy.prototype.watchSecrets = function watchSecrets(options={}) {
+  let debounce = options.debounce || 5000;
+  let dirs = {};
+  for (let n in this.secure.certs) {
+    let cert = this.secure.certs[n];
+    for (let f in cert.files) {
+      let dir = path.dirname(cert.files[f]);
+      dirs[dir] = dirs[dir] || {};
+      dirs[dir][path.basename(cert.files[f])] = (dirs[dir][path.basename(cert.files[f])]||[]).concat(cert);
+    };
+  };
+  for (let dir in dirs) {
+    try {
+      let watcher = fs.watch(dir,{persistent: false},(event,file)=>{
+        for (let cert of (dirs[dir][file]||[])) {
+          clearTimeout(cert.timer);
+          cert.timer = setTimeout(()=>this.renewSecrets(cert.name,options.notify),debounce);
+        };
+      });
+      watcher.on('error',e=>this.scribe.error("Secure Proxy[%s] watch of '%s' failed: %s",this.tag,dir,e.toString()));
+      this.secure.watchers.push(watcher);
+      this.scribe.debug("Secure Proxy[%s] watching '%s' for certificate changes",this.tag,dir);
+    } catch (e) {
+      this.scribe.error("Secure Proxy[%s] can't watch '%s': %s",this.tag,dir,e.toString());
+    };
+  };
 };
 
-// loads secure context files asynchronously; files passed only on initial load
-Proxy.prototype.loadSecrets = async function (files) {
+// reload a changed certificate, transcripting and notifying the outcome...
+Proxy.prototype.renewSecrets = function renewSecrets(name,channels=['sms']) {
+  return this.loadSecrets(name)
+    .then(info=>['info',`HomebrewLite proxy ${this.tag} certificate '${name}' renewed, valid until ${info.expires.toISOString()}`])
+    .catch(e=>['warn',`HomebrewLite proxy ${this.tag} certificate '${name}' renewal REJECTED, still serving the previous one: ${e.toString()}`])
+    .then(([level,text])=>{
+      this.scribe[level](text);
+      if (!this.notify || !channels) return;
+      if (asList(channels).includes('sms')) this.notify.sms({text: text})
+        .catch(e=>this.scribe.error("Secure Proxy[%s] text notification failed: %s", this.tag, e.toString()));
+      if (asList(channels).includes('mail')) this.notify.mail({subject: `Proxy ${this.tag} certificate ${name}`, body: text})
+        .catch(e=>this.scribe.error("Secure Proxy[%s] mail notification failed: %s", this.tag, e.toString()));
+    });
+};
+
+// (re)loads secure context files asynchronously, for a named certificate (i.e. hostname) or all;
+// resolves to the certificate info, the default's including all certificates when loading all...
+Proxy.prototype.loadSecrets = async function loadSecrets(name) {
   if (this.secure===undefined) return;
+  if (name===undefined) {
+    let certificates = {}, error;
+    for (let n in this.secure.certs) certificates[n] = await this.loadSecrets(n).catch(e=>{ error = error || e; });
+    if (error) throw error;  // all others still (re)loaded
+    return Object.assign({},certificates['default'],{certificates: certificates});
+  };
+  let cert = this.secure.certs[name];
+  if (cert===undefined) throw `No certificate '${name}' defined for proxy ${this.tag}`;
   let secrets = {};
-  this.secure.files = this.secure.files || files; // files only defined at startup
-  if (this.secure.files===undefined) throw "Required proxy secrets files (key/cert) not defined!"
   try {
-    for (var f in this.secure.files) {
-      this.scribe.trace(`Loading TLS '${f}' file: ${this.secure.files[f]}`);
-      secrets[f] = await fsp.readFile(this.secure.files[f], 'utf8');
+    for (var f in cert.files) {
+      this.scribe.trace(`Loading TLS '${name}' ${f} file: ${cert.files[f]}`);
+      secrets[f] = await fsp.readFile(cert.files[f], 'utf8');
     };
-    this.secure.secrets = secrets;
-    this.secure.changed = true;
-    this.scribe.debug("Key/certificate files loaded...");
+    let validity = forge.pki.certificateFromPem(secrets.cert).validity;
+    let exp = validity.notAfter;
+    if (exp<new Date()) throw `Certificate expired ${exp.toISOString()}`;
+    if (validity.notBefore>new Date()) throw `Certificate not valid before ${validity.notBefore.toISOString()}`;
+    let context = tls.createSecureContext(secrets); // throws if the key doesn't match the certificate
+    cert.context = context;  // only replaced once validated, otherwise the previous context remains in service
+    this.scribe.debug("Key/certificate files loaded for '%s'...", name);
     let now = new Date().toISOString();
-    let exp = forge.pki.certificateFromPem(secrets.cert).validity.notAfter;
-    this.scribe.info("Certificate valid until",exp);
-    let info = {expires: exp, loaded: now, tag: this.tag};
-    this.scribe.Stat.set('proxy',this.tag,info);
+    this.scribe.info("Certificate '%s' valid until %s", name, exp);
+    let info = {expires: exp, loaded: now, name: name, tag: this.tag};
+    this.scribe.Stat.set('proxy',name=='default' ? this.tag : `${this.tag}:${name}`,info);
     return info;
-  } catch (e) { 
-    this.scribe.error("Secure Proxy[%s] key/certificate file '%s' error!",this.tag,f);
+  } catch (e) {
+    this.scribe.error("Secure Proxy[%s] certificate '%s' load failed (file: %s)!",this.tag,name,f);
     this.scribe.error(e.toString());
     throw e;
   };
 };
 
-// default SNI callback for secure proxies; how proxies updates security context
+// select a certificate by SNI servername: exact name, then wildcard (i.e. '*.example.net' for one label), then default...
+Proxy.prototype.certificate = function certificate(servername) {
+  let certs = this.secure.certs;
+  let host = (servername||'').toLowerCase();
+  let wild = '*'+host.slice(host.indexOf('.'));
+  return (certs[host] && certs[host].context && certs[host]) || (host.includes('.') && certs[wild] && certs[wild].context && certs[wild]) || certs['default'];
+};
+
+// default SNI callback for secure proxies; selects the security context for the requested hostname
 Proxy.prototype.SNICallback = function SNICallback() {
   var self = this;
   return function SNICB(host,cb) {
-    if (self.secure.changed) {
-      self.secure.changed = false;
-      self.secure.context = tls.createSecureContext(self.secure.secrets);
-      self.scribe.debug("Secure Context updated...");
-    };
-    cb(null,self.secure.context);
+    let cert = self.certificate(host);
+    self.scribe.trace("SNI[%s]: certificate '%s'", host, cert.name);
+    cb(null,cert.context);
   };
 };
 
@@ -101,30 +221,214 @@ Proxy.prototype.router = function router() {
   });
 
   return function proxyRouter(rqst, rply) {
+    if (self.refuse(rqst.socket)) return;
+    let log = self.accessLog ? self.accessLog.track(rqst,rply) : {};
+    if (self.hsts) rply.setHeader('Strict-Transport-Security',self.hsts);  // all responses, proxied or not; a backend's own header prevails
+    if (self.limit(rqst.socket,rply)) return;
     let [host, method, url] = [(rqst.headers.host||'').split(':')[0], rqst.method, rqst.url];
-    let route = self.cfg.routes[host] || self.cfg.routes['*.' + host.substr(host.indexOf('.')+1)];
+    if (self.redirect(host,rqst,rply)) return;
+    let entry = self.match(host,url);
+    let route = entry && entry.route;
+    log.route = entry && entry.key;
     let ip = rqst.headers['x-forwarded-for']||rqst.connection.remoteAddress||'?';
-    if (route) {
+    if (route && !self.balancer.pool(route) && self.health.down(route)) {
+      self.scribe.Stat.inc(self.tag,'maintenance');
+      self.scribe.debug("PROXY[%s]: %s -> (%s) %s %s => [%s] (@%s:%s DOWN)", self.tag, ip, host, method, redactURL(url), entry.key, route.host, route.port);
+      self.health.respond(route,rqst,rply);
+    } else if (route) {
       self.scribe.Stat.inc(self.tag,'served');
-      self.scribe.debug("PROXY[%s]: %s -> (%s) %s %s (@%s:%s)", self.tag, ip, host, method, url, route.host, route.port);
-      self.proxy.web(rqst, rply, {target: route});
+      if (self.cache && self.cache.serve(entry,host,rqst,rply)) return;
+      self.strip(entry,rqst);
+      self.scribe.debug("PROXY[%s]: %s -> (%s) %s %s => [%s] (@%s:%s%s)", self.tag, ip, host, method, redactURL(url), entry.key, route.host, route.port, redactURL(rqst.url));
+      self.forward(entry,rqst,rply);
     } else {
       let localIP = ip.match(/(?:192\.168|127\.\d+|10\.\d+|169\.254)\.\d+\.\d+$/);
       if (!localIP || self.cfg.verbose) { // ignore diagnostics for local addresses
         self.scribe.Stat.inc(self.tag,'probes');
         self.scribe.Stat.inc(self.tag+'-blacklist',ip);
-        self.scribe.dump("NO PROXY ROUTE[%d]: %s -> (%s) %s %s", self.scribe.Stat.get(self.tag,'probes'), host, ip, method, url);
+        self.scribe.dump("NO PROXY ROUTE[%d]: %s -> (%s) %s %s", self.scribe.Stat.get(self.tag,'probes'), host, ip, method, redactURL(url));
       };
       rply.end(); // invalid routes close connection!
     };
   };
 };
 
+// regular expression for a host pattern, where '*' matches any single label and '**' one or more...
+function hostPattern(spec) {
+  const escape = (txt) => txt.replace(/[.*+?^${}()|[\]\\]/g,'\\$&');
+  let labels = spec.toLowerCase().split('.');
+  return new RegExp('^'+labels.map(l=>l=='**' ? '[^.]+(?:\\.[^.]+)*' : l=='*' ? '[^.]+' : l.split('*').map(escape).join('[^.]*')).join('\\.')+'$');
+};
+
+// normalized http to https redirect configuration...
+function redirectCfg(cfg) {
+  cfg = cfg===true ? {} : cfg;
+  return {hosts: cfg.hosts ? asList(cfg.hosts).map(hostPattern) : null, port: cfg.port || 443, code: cfg.code || 301,
+    except: cfg.except || ['/.well-known/acme-challenge/']};
+};
+
+// Strict-Transport-Security header value...
+function hstsHeader(cfg) {
+  cfg = cfg===true ? {} : cfg;
+  return `max-age=${cfg.maxAge===undefined ? 31536000 : cfg.maxAge}` + (cfg.includeSubDomains ? '; includeSubDomains' : '') + (cfg.preload ? '; preload' : '');
+};
+
+// backend target for http-proxy, only connection keys since others (i.e. path) alter its behavior...
+function target(route) {
+  let t = {host: route.host, port: route.port};
+  if (route.protocol) t.protocol = route.protocol;
+  return t;
+};
+
+// forward a request to a route's backend, balanced over any upstream targets, retrying failures where possible...
+Proxy.prototype.forward = function forward(entry,rqst,rply,tried=[]) {
+  let route = entry.route;
+  let pool = this.balancer.pool(route);
+  let t = pool && this.balancer.pick(pool,tried);
+  let target = t ? t.target : entry.target;
+  let options = {target: target, selfHandleResponse: !!(rqst.cached && rqst.cached.entry)};  // cache revalidations handle their own response
+  if (!t && !route.health) return this.proxy.web(rqst, rply, options);
+  let ended = false;
+  let end = (err) => { if (t && !ended) { ended = true; this.balancer.end(t,err); }; };
+  if (t) {
+    tried.push(t);
+    this.balancer.begin(t);
+    rply.once('close',()=>end());
+  };
+  this.proxy.web(rqst, rply, options, (err)=>{ // backend failed
+    end(err);
+    if (!rply.headersSent && pool && this.balancer.retry(pool,rqst,tried)) {
+      this.scribe.warn("PROXY[%s] backend %s:%s failed, retrying: %s", this.tag, target.host, target.port, err.toString());
+      this.scribe.Stat.inc(this.tag,'retries');
+      return this.forward(entry,rqst,rply,tried);
+    };
+    if (!route.health) return this.proxy.emit('error',err,rqst,rply);  // generic proxy error response
+    this.scribe.error("PROXY[%s] backend %s:%s failed: %s", this.tag, target.host, target.port, err.toString());
+    this.scribe.Stat.inc(this.tag,'errors');
+    if (!rply.headersSent) this.health.respond(route,rqst,rply); else rply.end(); // maintenance response instead of error
+  });
+};
+
+// replace the proxy routes in place, i.e. configuration reload, without interrupting the server...
+Proxy.prototype.setRoutes = function setRoutes(routes) {
+  this.cfg.routes = routes;
+  this.table = this.compileRoutes(routes);
+  let dflt = this.cfg.default;
+  let route = typeof dflt=='string' ? routes[dflt] : dflt;
+  if (dflt && !route) this.scribe.warn("Proxy[%s] default route '%s' not defined, ignored", this.tag, dflt);
+  this.fallback = route ? {key: '(default)', route: route, target: target(route), path: ''} : null;
+  this.health.update(routes);
+  this.balancer.update(routes);
+  this.scribe.debug("Proxy[%s] routes updated: %s", this.tag, this.table.map(e=>e.key).join(', '));
+};
+
+// compile routes into a match table, sorted in evaluation order...
+Proxy.prototype.compileRoutes = function compileRoutes(routes) {
+  let table = [];
+  Object.keys(routes).forEach((key,order)=>{
+    let route = routes[key];
+    let [hostSpec, ...parts] = key.split('/');
+    let entry = {key: key, route: route, target: target(route), order: order, priority: route.priority||0};
+    entry.path = (route.path || (parts.length ? '/'+parts.join('/') : '')).replace(/\/+$/,'');
+    try {
+      if (route.regex) {
+        [entry.kind, entry.literal, entry.regex] = [1, 0, new RegExp(route.regex,'i')];
+      } else if (hostSpec.includes('*')) {
+        entry.kind = 2;
+        entry.literal = hostSpec.split('.').filter(l=>!l.includes('*')).length;
+        entry.regex = hostPattern(hostSpec);
+      } else {
+        [entry.kind, entry.literal, entry.host] = [0, hostSpec.split('.').length, hostSpec.toLowerCase()];
+      };
+      table.push(entry);
+    } catch (e) {
+      this.scribe.error("Proxy[%s] route '%s' invalid, ignored: %s", this.tag, key, e.toString());
+    };
+  });
+  return table.sort((a,b)=>(b.priority-a.priority) || (a.kind-b.kind) || (b.literal-a.literal) || (b.path.length-a.path.length) || (a.order-b.order));
+};
+
+// find the route table entry for a request host and url, or the default...
+Proxy.prototype.match = function match(host,url) {
+  host = host.toLowerCase();
+  let path = (url||'/').split('?')[0];
+  for (let e of this.table) {
+    if (e.kind==0 ? e.host!==host : !e.regex.test(host)) continue;
+    if (e.path && !(path==e.path || path.startsWith(e.path+'/'))) continue;
+    return e;
+  };
+  return this.fallback;
+};
+
+// remove a matched path prefix from the request url, if configured...
+Proxy.prototype.strip = function strip(entry,rqst) {
+  if (!entry.route.strip || !entry.path) return;
+  let rest = rqst.url.slice(entry.path.length);
+  rqst.url = rest.startsWith('/') ? rest : '/'+rest;
+};
+
+// drop the connection of a blocked client; true if refused...
+Proxy.prototype.refuse = function refuse(socket) {
+  if (!this.blocklist || !this.blocklist.blocked(socket.remoteAddress)) return false;
+  this.scribe.Stat.inc('blocklist','refused');
+  this.scribe.trace("PROXY[%s]: refused blocked client %s", this.tag, socket.remoteAddress);
+  socket.destroy();
+  return true;
+};
+
+// redirect a plain http request for a configured host to its https equivalent, except ACME challenges; true if redirected...
+Proxy.prototype.redirect = function redirect(host,rqst,rply) {
+  let r = this.toSecure;
+  host = host.toLowerCase();
+  if (!r || !host || (r.hosts && !r.hosts.some(h=>h.test(host))) || r.except.some(p=>rqst.url.startsWith(p))) return false;
+  let location = `https://${host}${r.port==443 ? '' : ':'+r.port}${rqst.url}`;
+  this.scribe.Stat.inc(this.tag,'redirected');
+  this.scribe.debug("PROXY[%s]: %s %s redirected ==> %s", this.tag, rqst.method, redactURL(rqst.url), redactURL(location));
+  rply.writeHead(r.code,{'Location': location, 'Content-Type': 'text/plain'});
+  rply.end(`Redirecting to ${location}`);
+  return true;
+};
+
+// refuse a request exceeding the per IP rate limit with a 429 error (upgrades just dropped); true if refused...
+Proxy.prototype.limit = function limit(socket,rply) {
+  if (!this.limiter) return false;
+  let ip = socket.remoteAddress || '?';
+  let wait = this.limiter.take(this.limiter.rules[0],ip);
+  if (!wait) return false;
+  this.scribe.Stat.inc(this.tag,'limited');
+  this.scribe.Stat.inc(this.tag+'-blacklist-429',ip);
+  this.scribe.debug("PROXY[%s]: rate limited %s, retry after %ss", this.tag, ip, wait);
+  if (!rply) return socket.destroy() || true;
+  rply.writeHead(429,{'Content-Type': 'application/json', 'Retry-After': wait});
+  rply.end(JSON.stringify(this.emsg(429)));
+  return true;
+};
+
 // launch proxy servers...
 // dedicated http(s) server needed to intercept and route to multiple site targets.
 Proxy.prototype.start = function start(router) {
   router = router || this.router(); // default to builtin
   this.server = (this.secure!==undefined) ? https.createServer(this.secure.options,router) : http.createServer(router);
-  this.server.on('upgrade',(req,socket,head)=> { this.proxy.ws(req,socket,head); });
+  this.server.on('connection',socket=>this.refuse(socket));  // blocked clients dropped before any TLS handshake
+  this.server.on('upgrade',(req,socket,head)=> {  // i.e. websockets, routed the same as requests
+    if (this.refuse(socket) || this.limit(socket)) return;
+    let entry = this.match((req.headers.host||'').split(':')[0],req.url);
+    let pool = entry && this.balancer.pool(entry.route);
+    if (!entry || (!pool && this.health.down(entry.route))) return socket.destroy();
+    this.strip(entry,req);
+    this.proxy.ws(req,socket,head,{target: pool ? this.balancer.pick(pool).target : entry.target});
+  });
   this.server.listen(this.cfg.port);
 };
+
+// stop accepting connections; resolves when in-flight requests complete and the server closes...
+Proxy.prototype.stop = function stop() {
+  this.health.stop();
+  if (this.limiter) this.limiter.stop();
+  if (this.secure) this.secure.watchers.forEach(w=>w.close());
+  return new Promise((resolve,reject)=>{
+    if (!this.server) return resolve();
+    this.server.close(e=>(e && e.code!='ERR_SERVER_NOT_RUNNING') ? reject(e) : resolve());
+    this.scribe.info("Proxy[%s] server stopping on port %s", this.tag, this.cfg.port);
+  }).then(()=>this.accessLog && this.accessLog.close());
+};
@@ -21,10 +21,16 @@ NOTES:
   2.  When the configuration does not define a file, the database exists only in memory.
   3.  Supported file formats include JSON and XJSON.
   4.  Collections may be arrays of objects or arrays.
+  5.  All file based instances are tracked so pending changes can be force-saved at shutdown, see jxjDB.flushAll().
+  6.  An optional relay function, relay(recipe,data), receives each successful modification instead of
+      saving the file locally, i.e. so a cluster worker leaves saving shared databases to the primary.
+  7.  Instances emit a 'change' event for each modification, {collection, recipe, results}, XJSON file
+      write, {xjson, recipe}, and (re)load, {}, i.e. so live queries (LiteData streams) can update.
 
 */
 
 require('./Extensions2JS');
+const EventEmitter = require('events');
 const fs = require('fs');
 const fsp = require('fs').promises;
 const util = require('util');
@@ -35,6 +41,8 @@ const jsonata = require('jsonata');
 const safeJSON = require('./SafeData').jsonSafe;
 
 module.exports = jxjDB = function jxjDB(cfg={},data) {
+  EventEmitter.call(this);
+  this.setMaxListeners(0);  // a listener per live query
   this.file = cfg.file || '_memory_';
   this.inMemory = this.file == '_memory_';
   this.logFile = resolvePath(cfg.log || this.file.replace(/.j.+/,'').concat('.log'));
@@ -43,6 +51,19 @@ module.exports = jxjDB = function jxjDB(cfg={},data) {
   this.delay = cfg.delay || 1000;
   this.timex = null;  // delay timeout timer reference
   if (this.inMemory || data) this.db = data || {};
+  if (!this.inMemory) jxjDB.instances.add(this);
+};
+
+Object.setPrototypeOf(jxjDB.prototype,EventEmitter.prototype);
+
+// file based instances, for flushing pending saves...
+jxjDB.instances = new Set();
+
+// force save of any pending changes for all file based instances, returns list of saved files...
+jxjDB.flushAll = async function flushAll() {
+  let saved = [];
+  for (let db of jxjDB.instances) if (await db.flush()) saved.push(db.file);
+  return saved;
 };
 
 // error recording...
@@ -60,23 +81,34 @@ jxjDB.prototype.load = async function load() {
     this.db = JSON.parse(source);
     ((this.db['_']||{}).cfg||{}).mapByKey((v,k)=>this[k]=v);
     this.log(`jxjDB.load[${this.file}]: successfully loaded asynchronously!`);
+    this.emit('change',{});
     return this.db;
   } catch (e) { this.log("jxjDB.load[%s] ERROR:",this.file,e); throw e; };
 };
 
-// save the database 
+// save the database, returns a promise...
 jxjDB.prototype.save = function save() {
-  if (this.inMemory || this.readOnly) return;
+  if (this.inMemory || this.readOnly) return Promise.resolve();
   var data = JSON.stringify(this.db,null,this.format=='pretty'?2:undefined);
-  fsp.writeFile(this.file,data)
+  return fsp.writeFile(this.file,data)
     .then(x=>{})
     .catch(e=>this.log('jxjDB.save ERROR[%s]:',this.file,e));
 };
 
-// queue the database to be saved...
+// queue the database to be saved, unless relayed...
 jxjDB.prototype.changed = function changed() {
+  if (this.relay) return;
+  clearTimeout(this.timex);
+  this.timex = setTimeout(()=>{this.timex=null; this.save();},this.delay);
+};
+
+// immediately save any queued changes, resolves true if saved...
+jxjDB.prototype.flush = async function flush() {
+  if (!this.timex) return false;
   clearTimeout(this.timex);
-  this.timex = setTimeout(()=>{this.save();},this.delay);
+  this.timex = null;
+  await this.save();
+  return true;
 };
 
 // set or return schema
@@ -170,6 +202,8 @@ jxjDB.prototype.modify = function modify(recipeSpec, data, auth=false) {
             };
           } catch(e) {this.log("jxjDB.modify ERROR: ",typeof e=='object'?e.message:e.toString()); results.push(e.toString())};
         };
+        if (this.relay && results.some(r=>r instanceof Array)) this.relay(recipe,data);
+        if (results.some(r=>r instanceof Array)) this.emit('change',{collection: recipe.collection, recipe: recipe.name, results: results});
         return results; // array of pass/fail boolean for each data record.
       } else {
         this.log("jxjDB.modify bad request data format!"); 
@@ -193,11 +227,11 @@ jxjDB.prototype.inquire = async function inquire(recipeSpec, bindings=[], auth=f
       if (recipe.xjson) {
         try {
           let tmp = [];
-          ///let expression = this.resolveExpression(recipe.expression,bindings);
+          let expression = recipe.expression ? jsonata(recipe.expression) : null;
           if (expression) {
             await forEachLine(recipe.xjson,(line)=>{  // read xjson file line by line
               let jObj = JSON.parse(line);            // parse into JS object
-              let result = expression.evaluate(jObj); // test against expression
+              let result = expression.evaluate(jObj,bindings); // test against expression
               if (result) {
                 tmp.push(result); // append valid result and limit return data size?
                 if (recipe.limit && (tmp.length>Math.abs(recipe.limit)))
@@ -237,9 +271,10 @@ jxjDB.prototype.cache = async function cache(recipeSpec, data, auth=false,flag=n
           try {
             // convert array of objects (or arrays) into a block of filtered lines.
             let blk = data.map(x=>JSON.stringify(safeJSON(x,recipe.filter))).join('\n')+'\n';
-            let flag = ref ? 'w' : 'a'; 
-            await fsp.writeFile(recipe.xjson,blk,{flag:flag?'w':'a'});// default append
-            return {data: data, blk:blk, flag: flag};
+            let mode = flag ? 'w' : 'a';  // default append
+            await fsp.writeFile(recipe.xjson,blk,{flag: mode});
+            this.emit('change',{xjson: recipe.xjson, recipe: recipe.name});
+            return {data: data, blk:blk, flag: mode};
           } catch (e) {
             this.log(`Error[${recipe.name}] XJSON Failure: ${e}`);
             throw 500;
@@ -14,11 +14,17 @@ var cfg = {
     description: "HomebrewLite multi-domain web hosting service.",
     contact: secure.contact
     },
-/*  command: {   // internal server options
+/*  cluster: {   // optionally run groups of sites in worker processes
+    workers: {
+      apps: ['sc','talk']
+      }
+    },*/
+  command: {   // localhost-only command/control server for runtime administration
     port: 8081,
+    //secret: secure.command, // shared secret required as header X-Command-Secret
     tag: 'cmd'
     },
-  env: {        // defines any system environment variables passed to server elements
+/*  env: {        // defines any system environment variables passed to server elements
     NODE_ENV: 'development' // default to 'development' mode or 'production'
     },*/
   headers: {    // defines global headers passed to all server backends
@@ -34,19 +40,25 @@ var cfg = {
         hostnameOnly: true,
         xfwd: true
         },
+      redirect: { // redirect to https, except ACME challenges
+        hosts: ['sedillocanyon.net','*.sedillocanyon.net','talkingcoyotes.net','*.talkingcoyotes.net']
+        },
       report: {
         ignore:['192.168.0','127.0.0'],
         },
       sites:['acme'] // sites served by this proxy
       },
     https: {
+      accessLog: { file: '../logs/https-access.log', daily: true, keep: 14 }, // standard access log
       active: true,
+      cache: { size: 67108864 }, // cache static assets per backend Cache-Control/ETag headers
       port:8443,
       options: {
         ws: true,
         hostnameOnly: true,
         xfwd: true
         },
+      hsts: { maxAge: 31536000, includeSubDomains: true },
       report: {
         ignore:['192.168.0','127.0.0'],
         },
@@ -72,49 +84,81 @@ var cfg = {
       fsize: 100000
       }  
     },
-/*  shared: {     // server level services passed to site apps
-    notify: {
-      require: './Notification',
-      options: {
-        email: {
-          smtp: secure.smtp,
-          defaults: {
-            to: secure.contact.email,
-            from: secure.contact.email,
-            subject: 'Talking Coyotes Webserver Notification...',
-            text: 'No info provided'
-            }
-          },
-        esms: {
-          gateways: {
-            'AllTel': '%s@message.alltel.com',
-            'ATT&T': '%s@txt.att.net',
-            'Boost': '%s@myboostmobile.com',
-            'Cricket': '%s@sms.mycricket.com',
-            'Nextel': '%s@messaging.nextel.com',
-            'Sprint': '%s@messaging.sprintpcs.com',
-            'T-Mobile': '%s@tmomail.net',
-            'Verizon': '%s@vtext.com',
-            'Qwest': '%s@qwestmp.com',
-            'Tracfone': '%s@mmst5.tracfone.com',
-            'USCellular': '%s@email.uscc.net',
-            'Virgin': '%s@vmobl.com'
-            },
-          defaults: {
-            to: secure.contact.phone,
-            provider: secure.contact.provider,
-            text: '?'
-            }
+  scheduler: {  // periodic server jobs
+    jobs: {
+      backup: { task: 'snapshot', cron: '0 3 * * *', options: { folder: '../backups', keep: 7 } },
+      roll: { task: 'roll', cron: '@weekly' },
+      certs: { task: 'certs', every: '12h', immediate: true, options: { days: 14 } }
+      }
+    },
+  shutdown: {   // graceful shutdown, time limit (ms) for each step, i.e. draining connections
+    timeout: 10000
+    },
+  blocklist: {  // block offending IPs at the proxies, per the blacklist stats
+    file: '../restricted/blocklist.json',
+    thresholds: { probes: 10, 401: 20, 404: 50 },
+    duration: 3600000,
+    allow: ['192.168.0']
+    },
+  notify: {     // text message and mail notification transports, tried in fallback order
+    transports: {
+      email: {
+        type: 'smtp',
+        smtp: secure.smtp,
+        defaults: {
+          to: secure.contact.email,
+          from: secure.contact.email,
+          subject: 'Talking Coyotes Webserver Notification...',
+          text: 'No info provided'
+          }
+        },
+      esms: {   // texts sent as email to carrier email-to-SMS gateways
+        type: 'esms',
+        via: 'email',
+        gateways: {
+          'AllTel': '%s@message.alltel.com',
+          'ATT&T': '%s@txt.att.net',
+          'Boost': '%s@myboostmobile.com',
+          'Cricket': '%s@sms.mycricket.com',
+          'Nextel': '%s@messaging.nextel.com',
+          'Sprint': '%s@messaging.sprintpcs.com',
+          'T-Mobile': '%s@tmomail.net',
+          'Verizon': '%s@vtext.com',
+          'Qwest': '%s@qwestmp.com',
+          'Tracfone': '%s@mmst5.tracfone.com',
+          'USCellular': '%s@email.uscc.net',
+          'Virgin': '%s@vmobl.com'
           },
-        scribe: {
-          tag: 'notify'
+        defaults: {
+          provider: secure.contact.provider
           }
         },
+      outbox: { // last resort, local record of undeliverable messages
+        type: 'outbox',
+        file: '../logs/outbox.log'
+        }
+      },
+    fallback: {
+      sms: ['esms','outbox'],
+      mail: ['email','outbox']
+      },
+    defaults: {
+      sms: {to: secure.contact.phone}
+      }
+    },
+/*  shared: {     // server level services passed to site apps as context.server.<name>
+    cache: {
+      require: './MyCache',
+      options: {size: 1000},
       init: {
-        //sendText: {text: 'Homebrew Server initialization...',time: true}
+        //warm: ['users']
         }
       }
     },*/
+/*  plugins: {    // custom handler modules, referenced by name in site handlers like builtins
+    LiteQueue: './LiteQueue',
+    LiteMeta: {require: './LiteMeta', prefix: '^', tag: 'meta'}
+    },*/
   sites: {      // sites served, each follows the same structure
     acme: {     // http://localhost:8079 Let's Encrypt / Certbot service and redirection
       active: true,
@@ -201,14 +245,20 @@ var cfg = {
       },
     eyes: {     // http://192.168.0.9:80
       active: true,
+      app: false, // external backend, proxied only
       aliases: ['eyes.sedillocanyon.net'],
       headers: {site: 'Home Camera Network'},
+      health: {   // periodic backend probes, maintenance response while down
+        interval: 60000,
+        maintenance: {msg: 'Camera network temporarily offline'}
+        },
       host: 'http://192.168.0.9',
       name: 'Home Canyon Camera Network',
       port: 80
       },
     red: {
       active: true,
+      app: false, // external backend, proxied only
       aliases: ['red.sedillocanyon.net'],
       headers: {site: 'Home Iot Node-red Network'},
       host: 'http://localhost',
@@ -267,6 +317,10 @@ var cfg = {
       name: 'Sedillo Canyon Network',
       port: 8077,
       root: '/home/js/sites/sc',
+      urlRules: [ // ordered redirect and rewrite rules, see URL Mapping
+        {name: 'blog', path: '/blog/*', to: '/posts/$1', redirect: 301},
+        {name: 'api', path: '~^/api/v1/(.*)$', to: '/api/v2/$1', last: true}
+        ],
       x: { // options for Express app of hbBaseApp
         locals: {
           homebrew: {name: 'Sedillo Canyon Server'}